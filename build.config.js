@@ -1,5 +1,5 @@
 import { context } from 'esbuild';
-import { exec } from 'child_process';
+import path from 'path';
 
 const isDev = process.argv.includes('--watch');
 
@@ -22,6 +22,7 @@ const commonConfig = {
     minify: true,
     target: 'es6',
     sourcemap: isDev,
+    define: { __DEV__: 'false' }, // Dev warnings are removed when minifying
 };
 
 // IIFE version for <script src="...">
@@ -38,13 +39,61 @@ await buildOrWatch({
     format: 'esm',
 }, 'ESM');
 
-// launch live server if dev
-if (isDev) {
-    exec('npx live-server ./ --port=3000 --open=test/index.html', (err, stdout, stderr) => {
-        if (err) {
-            console.error(`🚨 live-server error: ${stderr}`);
-        } else {
-            console.log(stdout);
-        }
-    });
-}
\ No newline at end of file
+// CSP versions (swap the `new Function` evaluator for the interpreter)
+const cspPlugin = {
+    name: 'csp',
+    setup(build) {
+        build.onResolve({ filter: /\/evaluator\.js$/ }, args => ({
+            path: path.resolve(args.resolveDir, args.path.replace(/\.js$/, '.csp.js')),
+        }));
+    },
+};
+
+await buildOrWatch({
+    ...commonConfig,
+    outfile: 'dist/hamsterio.csp.min.js',
+    format: 'iife',
+    plugins: [cspPlugin],
+}, 'CSP IIFE');
+
+await buildOrWatch({
+    ...commonConfig,
+    outfile: 'dist/hamsterio.csp.esm.js',
+    format: 'esm',
+    plugins: [cspPlugin],
+}, 'CSP ESM');
+
+// Development versions (unminified, with extra warnings)
+await buildOrWatch({
+    ...commonConfig,
+    minify: false,
+    define: { __DEV__: 'true' },
+    outfile: 'dist/hamsterio.dev.js',
+    format: 'iife',
+}, 'Dev IIFE');
+
+await buildOrWatch({
+    ...commonConfig,
+    minify: false,
+    define: { __DEV__: 'true' },
+    outfile: 'dist/hamsterio.dev.esm.js',
+    format: 'esm',
+}, 'Dev ESM');
+
+// Testing utilities (`hamsterio/testing`), importing hamsterio itself rather
+// than bundling a copy, so tests share the instance the app code uses
+const testingPlugin = {
+    name: 'testing',
+    setup(build) {
+        build.onResolve({ filter: /\/index\.js$/ }, () => ({ path: 'hamsterio', external: true }));
+    },
+};
+
+await buildOrWatch({
+    ...commonConfig,
+    entryPoints: ['src/testing.js'],
+    minify: false,
+    outfile: 'dist/hamsterio.testing.esm.js',
+    format: 'esm',
+    plugins: [testingPlugin],
+}, 'Testing ESM');
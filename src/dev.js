@@ -0,0 +1,26 @@
+/**
+ * Development mode
+ * ----------------
+ * The dev build (`dist/hamsterio.dev.js`) sets `__DEV__` to true, turning on 
+ * extra warnings for common mistakes. Other builds set it to false, so the 
+ * warnings are removed when minifying. Using the source as is, it's off.
+ * 
+ * Check it inline, as `typeof __DEV__ !== 'undefined' && __DEV__` - the 
+ * minifier only removes dead code when the condition is a literal it can fold.
+ * 
+ * @module dev
+ */
+
+/**
+ * warn
+ * ----
+ * Logs a development warning (only in the dev build).
+ * 
+ * @param {string} message - Warning message
+ * @param {...*} details - Anything else to log (e.g. the element)
+ */
+export function warn(message, ...details) {
+    if (typeof __DEV__ !== 'undefined' && __DEV__) {
+        console.warn(`🐹 [dev] ${message}`, ...details);
+    }
+};
@@ -0,0 +1,379 @@
+import { createEffect, collectEffects, getEffectInfo, onWrite } from "./signal.js";
+import { getContext } from "./directives.js";
+
+/**
+ * Devtools
+ * --------
+ * Runtime introspection, for finding out why a widget misbehaves: which
+ * components exist, what their data is, which directives are bound (and how
+ * many signals their effects depend on), and what's writing to signals.
+ * 
+ * Available as `hamsterio.devtools` in the dev build (`hamsterio/dev`) only,
+ * so production bundles don't pay for it. `inspect()` adds an in-page overlay
+ * showing an element's scope, so state can be inspected without a browser
+ * extension.
+ * 
+ * @module devtools
+ */
+
+/**
+ * Directives bound on each element, with the effects they created
+ * @type {WeakMap<HTMLElement, Array<Object>>}
+ */
+const bindings = new WeakMap();
+
+/**
+ * The same directives, by the context they were bound in (h-for/h-if take 
+ * their element out of the page, so they can't always be found by element)
+ * @type {WeakMap<Object, Set<Object>>}
+ */
+const contextBindings = new WeakMap();
+
+/**
+ * recordBinding
+ * -------------
+ * Binds a directive (by running `fn`), recording the effects it creates.
+ * 
+ * @param {HTMLElement} el - Element the directive is on
+ * @param {string} directive - Directive (attribute) name, e.g. "h-on:click"
+ * @param {string} expression - Attribute value
+ * @param {Function} fn - Function binding the directive
+ * @returns {*} Result of the function
+ */
+export function recordBinding(el, directive, expression, fn) {
+    // h-for/h-if take the element out of the page, so look its context up first
+    const parentContext = getContext(el);
+
+    let result;
+    const effects = collectEffects(() => {
+        result = fn();
+    });
+
+    const binding = { directive, expression, effects, context: getContext(el) || parentContext };
+
+    if (!bindings.has(el)) bindings.set(el, []);
+    bindings.get(el).push(binding);
+
+    if (binding.context) {
+        if (!contextBindings.has(binding.context)) contextBindings.set(binding.context, new Set());
+        contextBindings.get(binding.context).add(binding);
+    }
+
+    return result;
+};
+
+/**
+ * clearBindings
+ * -------------
+ * Forgets the directives recorded for an element (when it's cleaned up).
+ * 
+ * @param {HTMLElement} el - Element
+ */
+export function clearBindings(el) {
+    bindings.get(el)?.forEach(binding => contextBindings.get(binding.context)?.delete(binding));
+    bindings.delete(el);
+};
+
+/**
+ * roots
+ * -----
+ * Lists the initialised root components (h-data elements not inside another one).
+ * 
+ * @returns {Array<HTMLElement>} Root h-data elements
+ */
+function roots() {
+    if (typeof document === 'undefined') return [];
+
+    return Array.from(document.querySelectorAll('[h-data]')).filter(el =>
+        getContext(el)?.el === el && !(el.parentElement && getContext(el.parentElement))
+    );
+};
+
+/**
+ * scope
+ * -----
+ * Finds the element whose context an element uses (an h-data element, an
+ * h-for row, a component's host, etc.).
+ * 
+ * @param {HTMLElement} el - Element
+ * @returns {HTMLElement|null} Element owning the context (null if there's none)
+ */
+function scope(el) {
+    return getContext(el)?.el || null;
+};
+
+/**
+ * snapshot
+ * --------
+ * Copies the current data of an element's scope into a plain object: own
+ * properties only (not the parent scopes'), with getters evaluated and
+ * methods left out. Handy for logging, as it won't change afterwards.
+ * 
+ * @param {HTMLElement} el - Element
+ * @returns {Object|null} Data snapshot (null if the element has no scope)
+ */
+function snapshot(el) {
+    const context = getContext(el);
+    return context ? copyObject(context.data, []) : null;
+};
+
+/**
+ * copyObject
+ * ----------
+ * Copies an object's own enumerable properties (except methods), deeply.
+ * 
+ * @param {Object} obj - Object to copy
+ * @param {Array} path - Objects being copied (to spot circular references)
+ * @returns {Object} Copy
+ */
+function copyObject(obj, path) {
+    const copy = {};
+
+    Object.keys(obj).forEach(key => {
+        const value = obj[key];
+        if (typeof value !== 'function') copy[key] = toPlain(value, [...path, obj]);
+    });
+
+    return copy;
+};
+
+/**
+ * toPlain
+ * -------
+ * Deep copies plain objects and arrays (other values, like Dates or DOM
+ * nodes, are kept as they are).
+ * 
+ * @param {*} value - Value to copy
+ * @param {Array} path - Objects being copied (to spot circular references)
+ * @returns {*} Copy
+ */
+function toPlain(value, path) {
+    if (value === null || typeof value !== 'object') return value;
+    if (path.includes(value)) return '[Circular]';
+
+    if (Array.isArray(value)) return value.map(item => toPlain(item, [...path, value]));
+
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null ? copyObject(value, path) : value;
+};
+
+/**
+ * effects
+ * -------
+ * Lists the directives bound on an element, with their effects (see
+ * `getEffectInfo`). Directives without effects (e.g. h-on) have none.
+ * 
+ * Example:
+ * ```js
+ *   hamsterio.devtools.effects(el);
+ *   // [{ directive: 'h-text', expression: 'count', effects: [{ id: 3, runs: 2, dependencies: 1, children: 0, active: true }] }]
+ * 
+ * ```
+ * @param {HTMLElement} el - Element
+ * @returns {Array<Object>} `{ directive, expression, effects }` for each directive
+ */
+function effects(el) {
+    return (bindings.get(el) || []).map(({ directive, expression, effects }) => ({
+        directive,
+        expression,
+        effects: effects.map(getEffectInfo),
+    }));
+};
+
+/**
+ * stats
+ * -----
+ * Counts what's live in the contexts (components, h-for rows, etc.) inside
+ * an element: the contexts, the directives bound in them, their active 
+ * effects, and the dependencies of those effects.
+ * 
+ * @param {HTMLElement} el - Element to count in (default: `document.body`)
+ * @returns {Object} `{ contexts, directives, effects, dependencies }`
+ */
+function stats(el = document.body) {
+    const counts = { contexts: 0, directives: 0, effects: 0, dependencies: 0 };
+
+    [el, ...el.querySelectorAll('*')].forEach(node => {
+        const context = getContext(node);
+        if (context?.el !== node) return;
+
+        counts.contexts++;
+
+        (contextBindings.get(context) || []).forEach(({ effects }) => {
+            counts.directives++;
+
+            effects.map(getEffectInfo).filter(effect => effect.active).forEach(effect => {
+                counts.effects++;
+                counts.dependencies += effect.dependencies;
+            });
+        });
+    });
+
+    return counts;
+};
+
+/**
+ * inspect
+ * -------
+ * Shows an in-page overlay highlighting an element, with its scope's data
+ * (kept up to date) and its directives. Without an element, starts picking:
+ * hover to highlight, click to select, Escape to stop.
+ * 
+ * Example:
+ * ```js
+ *   const close = hamsterio.devtools.inspect(document.querySelector('#cart'));
+ *   close(); // Remove the overlay
+ * 
+ * ```
+ * @param {HTMLElement} [el] - Element to inspect
+ * @returns {Function} Function that removes the overlay (and stops picking)
+ */
+function inspect(el) {
+    const overlay = createOverlay();
+    let disposeEffect = null;
+    let current = null;
+
+    const show = (target) => {
+        if (target === current) return;
+        current = target;
+
+        disposeEffect?.();
+        disposeEffect = createEffect(() => renderOverlay(overlay, target));
+    };
+
+    const onMove = (e) => {
+        if (!overlay.root.contains(e.target)) show(e.target);
+    };
+
+    const onClick = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        stopPicking();
+        show(e.target);
+    };
+
+    const onKeydown = (e) => {
+        if (e.key === 'Escape') close();
+    };
+
+    const stopPicking = () => {
+        document.removeEventListener('mousemove', onMove, true);
+        document.removeEventListener('click', onClick, true);
+    };
+
+    const close = () => {
+        stopPicking();
+        document.removeEventListener('keydown', onKeydown, true);
+        disposeEffect?.();
+        overlay.root.remove();
+    };
+
+    document.addEventListener('keydown', onKeydown, true);
+
+    if (el) {
+        show(el);
+    } else {
+        document.addEventListener('mousemove', onMove, true);
+        document.addEventListener('click', onClick, true);
+    }
+
+    return close;
+};
+
+/**
+ * createOverlay
+ * -------------
+ * Adds the overlay elements (a highlight box and an info panel) to the page.
+ * They ignore the pointer, so they never get in the way of picking.
+ * 
+ * @returns {Object} `{ root, box, panel }`
+ */
+function createOverlay() {
+    const root = document.createElement('div');
+    root.setAttribute('data-hamsterio-devtools', '');
+
+    const box = document.createElement('div');
+    box.style.cssText = 'position:fixed;z-index:2147483646;pointer-events:none;' +
+        'background:rgba(255,170,60,.2);outline:2px solid #f90;';
+
+    const panel = document.createElement('pre');
+    panel.style.cssText = 'position:fixed;z-index:2147483647;pointer-events:none;right:8px;bottom:8px;' +
+        'margin:0;padding:8px;max-width:40vw;max-height:50vh;overflow:hidden;white-space:pre-wrap;' +
+        'font:12px/1.4 monospace;color:#eee;background:rgba(30,30,30,.92);border-radius:4px;';
+
+    root.append(box, panel);
+    document.body.appendChild(root);
+
+    return { root, box, panel };
+};
+
+/**
+ * renderOverlay
+ * -------------
+ * Highlights an element and shows its scope and directives in the panel.
+ * Runs in an effect, so the panel updates when the data changes.
+ * 
+ * @param {Object} overlay - Overlay elements (see `createOverlay`)
+ * @param {HTMLElement} el - Element to show
+ */
+function renderOverlay({ box, panel }, el) {
+    const rect = el.getBoundingClientRect();
+    Object.assign(box.style, {
+        top: `${rect.top}px`,
+        left: `${rect.left}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`,
+    });
+
+    const owner = scope(el);
+    const lines = [`🐹 ${describe(el)}`];
+
+    if (owner) {
+        lines.push(`scope: ${owner === el ? '(self)' : describe(owner)}`);
+        lines.push(JSON.stringify(snapshot(el), null, 2));
+    } else {
+        lines.push('(no scope)');
+    }
+
+    effects(el).forEach(({ directive, expression, effects }) => {
+        const dependencies = effects.reduce((sum, effect) => sum + effect.dependencies, 0);
+        lines.push(`${directive}="${expression}" - ${effects.length} effect(s), ${dependencies} dependencies`);
+    });
+
+    panel.textContent = lines.join('\n');
+};
+
+/**
+ * describe
+ * --------
+ * Short description of an element (e.g. "div#cart.open").
+ * 
+ * @param {HTMLElement} el - Element
+ * @returns {string} Description
+ */
+function describe(el) {
+    const id = el.id ? `#${el.id}` : '';
+    const classes = Array.from(el.classList).map(name => `.${name}`).join('');
+
+    return `${el.tagName.toLowerCase()}${id}${classes}`;
+};
+
+/**
+ * devtools
+ * --------
+ * Runtime introspection API (`hamsterio.devtools`).
+ * 
+ * Example:
+ * ```js
+ *   const { devtools } = hamsterio;
+ *   devtools.roots();                 // [div, section, ...]
+ *   devtools.snapshot(el);            // { count: 2, items: [...] }
+ *   devtools.effects(el);             // directives on el, with their effects
+ *   devtools.stats();                 // { contexts: 4, directives: 12, effects: 9, dependencies: 15 }
+ *   devtools.onWrite(w => console.log(w.name, w.value, w.stack));
+ *   devtools.inspect();               // pick an element to inspect
+ * 
+ * ```
+ * @type {Object}
+ */
+export const devtools = { roots, scope, snapshot, effects, stats, onWrite, inspect };
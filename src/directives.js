@@ -1,4 +1,10 @@
-import { createSignal, createEffect } from "./signal.js";
+import { createSignal, createEffect, createRoot, batch, nextTick, untracked, setErrorHandler } from "./signal.js";
+import { stores, prepareData } from "./store.js";
+import { evaluate, execute, assign, isCompileError } from "./evaluator.js";
+import { emit } from "./hooks.js";
+import { persist } from "./persist.js";
+import { warn } from "./dev.js";
+import { recordBinding, clearBindings } from "./devtools.js";
 
 /**
  * Directive system
@@ -16,6 +22,78 @@ import { createSignal, createEffect } from "./signal.js";
  */
 const contexts = new WeakMap();
 
+/**
+ * Elements whose directives have been processed, so calling `init` again 
+ * (or the DOM observer seeing them) doesn't bind them twice.
+ * @type {WeakSet}
+ */
+const initialised = new WeakSet();
+
+/**
+ * Registered directives (built-in and custom), by attribute name (e.g. "h-text").
+ * Each entry is `{ handler, priority }`.
+ * @type {Map<string, Object>}
+ */
+const registry = new Map();
+
+/**
+ * Registered magic properties (e.g. "$el"), by name. Each entry is a function
+ * that gets the magic's value for an element.
+ * @type {Map<string, Function>}
+ */
+const magics = new Map();
+
+/**
+ * Registered data factories (e.g. "dropdown"), by name. Available by name in
+ * h-data expressions, e.g. `h-data="dropdown({ open: true })"`.
+ * @type {Map<string, Function>}
+ */
+const factories = new Map();
+
+/**
+ * The refs object each element with h-ref is registered in (so cleanup can 
+ * remove it, even once its h-data ancestor is gone)
+ * @type {WeakMap<HTMLElement, Object>}
+ */
+const refOwners = new WeakMap();
+
+/**
+ * Last number used for each `$id` prefix (so ids are unique on the page)
+ * @type {Map<string, number>}
+ */
+const idCounters = new Map();
+
+/**
+ * Component definitions (`<template h-component="name">`), by name
+ * @type {Map<string, HTMLTemplateElement>}
+ */
+const components = new Map();
+
+/**
+ * Directives that render or scope elements themselves, so can't be replaced
+ * @type {Array<string>}
+ */
+const structuralDirectives = ['h-data', 'h-for', 'h-if', 'h-else-if', 'h-else', 'h-component', 'h-use', 'h-props', 'h-slot'];
+
+/**
+ * Compile errors that have already been reported (so a broken expression 
+ * doesn't flood the console every time its effect re-runs).
+ * @type {WeakSet}
+ */
+const reportedErrors = new WeakSet();
+
+/**
+ * Callbacks to run once an element's children are processed (see `afterChildren`)
+ * @type {WeakMap<HTMLElement, Array<Function>>}
+ */
+const childrenCallbacks = new WeakMap();
+
+/**
+ * Statements (and async `init()` methods) still running (see `settled`)
+ * @type {Set<Promise>}
+ */
+const pending = new Set();
+
 /**
  * init
  * -----------
@@ -30,28 +108,46 @@ const contexts = new WeakMap();
  *   hamsterio.init(div);
  * 
  * ```
- * If calling on a previously initialised element, use `cleanup` beforehand:
+ * Calling it again on an initialised element is safe: already processed 
+ * elements are skipped, and only new children are initialised. To re-initialise 
+ * from scratch, use `cleanup` beforehand:
  * ```js
  *   hamsterio.cleanup(document.body);
  *   hamsterio.init(document.body);
  * 
  * ```
+ * Importing hamsterio outside the browser (e.g. in an SSR build) is fine, but 
+ * `init` needs a DOM.
+ * 
  * @param {HTMLElement} el - Element to start scanning from (default: `document.body`)
  */
-export function init(el = document.body) {
+export function init(el) {
+    // hamsterio is browser-only (at least when it comes to the DOM)
+    if (typeof document === 'undefined') {
+        throw new Error(
+            '🐹 hamsterio requires a browser environment. Your hamster needs a wheel to run on! ' +
+            'If using SSR (Next.js, Nuxt, etc), make sure init only runs on the client.'
+        );
+    }
+
+    if (el === undefined) el = document.body;
+
     if (el == null) {
         console.warn('🐹 [init] Called on a null/undefined element.');
         return;
     }
 
+    // Register component definitions first, so components can be used before they're defined
+    el.querySelectorAll('template[h-component]').forEach(template => registerComponent(template));
+
   	processElement(el);
 };
 
 /**
  * processElement
  * --------------
- * Recursively processes an element and all its children.
- * Order matters: h-data must be processed first to establish context.
+ * Recursively processes an element and all its children 
+ * (skipping ones that are already initialised).
  * 
  * @param {HTMLElement} el - Element to process
  */
@@ -59,50 +155,350 @@ function processElement(el) {
     // Skip text nodes, comments, etc - only process element nodes
     if (el.nodeType !== 1) return;
 
+    // Skip h-else-if/h-else branches, their h-if renders them
+    if (el.hasAttribute('h-else-if') || el.hasAttribute('h-else')) return;
+
+    // Component definitions aren't rendered themselves, only where they're used
+    if (el.hasAttribute('h-component')) {
+        registerComponent(el);
+        return;
+    }
+
+    // Already initialised, only look for new children
+    if (initialised.has(el)) {
+        Array.from(el.children).forEach(child => processElement(child));
+        return;
+    }
+
+    initialised.add(el);
+
+    // Let plugins know (plain elements, without directives, aren't worth an event)
+    const hasDirectives = getDirectives(el).length > 0;
+    if (hasDirectives) emit('beforeInit', el, { el });
+
+    initElement(el);
+
+    if (hasDirectives) emit('afterInit', el, { el });
+};
+
+/**
+ * initElement
+ * -----------
+ * Binds an element's directives, then processes its children.
+ * Order matters: h-data must be processed first to establish context.
+ * 
+ * @param {HTMLElement} el - Element to initialise
+ */
+function initElement(el) {
+    // Development warnings, e.g. typos in directive names (`__DEV__` is set by the build)
+    if (typeof __DEV__ !== 'undefined' && __DEV__) checkDirectives(el);
+
+    // h-for/h-if render (clones of) the element themselves, so they take over from here
+    if (el.hasAttribute('h-for')) {
+        const expr = el.getAttribute('h-for');
+        bindDirective(el, 'h-for', expr, () => bindFor(el, expr, getContext(el)));
+        return;
+    }
+
+    if (el.hasAttribute('h-if')) {
+        const expr = el.getAttribute('h-if');
+        bindDirective(el, 'h-if', expr, () => bindIf(el, expr, getContext(el)));
+        return;
+    }
+
+    // Render a component into the element (before its children are processed)
+    if (el.hasAttribute('h-use')) {
+        const name = el.getAttribute('h-use');
+        bindDirective(el, 'h-use', name, () => bindComponent(el, name, getContext(el)));
+    }
+
     // Process h-data first to establish "scope" for all other directives
     if (el.hasAttribute('h-data')) {
-        initData(el);
+        bindDirective(el, 'h-data', el.getAttribute('h-data'), () => initData(el));
     }
 
     // Get the reactive context (from this element or inherited from parent)
     const context = getContext(el);
 
-    // Process all other directives on this element
-    getDirectives(el).forEach(({ name, value }) => {
-        // Split directive name to handle modifiers (e.g. "h-on:click" -> ["h-on", "click"])
-        const [directive, modifier] = name.split(':');
-        
-        switch(directive) {
-        case 'h-text':
-            bindTextOrHTML(el, value, context);
-            break;
-        case 'h-html':
-            bindTextOrHTML(el, value, context, true);
-            break;
-        case 'h-show':
-            bindShow(el, value, context);
-            break;
-		case 'h-for':
-            bindFor(el, value, context);
-            return; // Don't process children, h-for handles it
-        case 'h-on':
-            bindEvent(el, modifier, value, context);
-            break;
-        case 'h-bind':
-            bindAttribute(el, modifier, value, context);
-            break;
-        }
-    });
+    // Register the element in its component's $refs
+    if (el.hasAttribute('h-ref')) {
+        registerRef(el, el.getAttribute('h-ref'));
+    }
 
-    // Process h-init last (when element has initialised)
-    if (el.hasAttribute('h-init')) {
-        bindInit(el.getAttribute('h-init'), context);
+    // Process all other directives on this element, in priority order 
+    // (e.g. h-init last, when the element has initialised)
+    if (context) {
+        getDirectives(el)
+            .map(({ name, value }) => {
+                // Split directive name into its parts (e.g. "h-on:click.prevent" -> "h-on", "click", ["prevent"])
+                const [base, ...modifiers] = name.split('.');
+                const [directive, arg] = base.split(':');
+
+                return { name, value, directive, arg, modifiers, definition: registry.get(directive) };
+            })
+            .filter(({ definition }) => definition)
+            .sort((a, b) => a.definition.priority - b.definition.priority)
+            .forEach(({ name, value, arg, modifiers, definition }) => {
+                // A failing directive is reported, and the rest still initialise
+                try {
+                    const dispose = bindDirective(el, name, value, () => definition.handler(
+                        el, 
+                        { value, arg, modifiers, name }, 
+                        getDirectiveHelpers(el, name, value, context)
+                    ));
+
+                    // Handlers can return a cleanup function
+                    if (typeof dispose === 'function') context.cleanup.push(dispose);
+                } catch (e) {
+                    reportError(e, value, el, name);
+                }
+            });
     }
 
-    // Process children recursively (unless h-for handled it)
-    if (!el.hasAttribute('h-for')) {
-   		Array.from(el.children).forEach(child => processElement(child));
-	}
+    // Process children recursively
+    Array.from(el.children).forEach(child => processElement(child));
+
+    // Finish directives that depend on the children
+    childrenCallbacks.get(el)?.forEach(fn => fn());
+    childrenCallbacks.delete(el);
+};
+
+/**
+ * bindDirective
+ * -------------
+ * Binds a directive (by running `fn`). In the dev build, the binding is 
+ * recorded, so devtools can list its effects.
+ * 
+ * @param {HTMLElement} el - Element the directive is on
+ * @param {string} name - Directive (attribute) name, e.g. "h-on:click"
+ * @param {string} expression - Attribute value
+ * @param {Function} fn - Function binding the directive
+ * @returns {*} Result of the function
+ */
+function bindDirective(el, name, expression, fn) {
+    if (typeof __DEV__ !== 'undefined' && __DEV__) return recordBinding(el, name, expression, fn);
+
+    return fn();
+};
+
+/**
+ * afterChildren
+ * -------------
+ * Runs a callback once an element's children have been processed (directive
+ * handlers run before that), e.g. to select a value among rendered options.
+ * 
+ * @param {HTMLElement} el - Element being initialised
+ * @param {Function} fn - Callback
+ */
+function afterChildren(el, fn) {
+    if (!childrenCallbacks.has(el)) childrenCallbacks.set(el, []);
+    childrenCallbacks.get(el).push(fn);
+};
+
+/**
+ * checkDirectives
+ * ---------------
+ * Warns about directives that won't do anything (dev build only): unknown 
+ * ones (e.g. "h-txt"), and ones without an h-data ancestor to get data from.
+ * 
+ * @param {HTMLElement} el - Element to check
+ */
+function checkDirectives(el) {
+    // Attributes that are read by other directives, rather than registered
+    const known = [...structuralDirectives, 'h-ref', 'h-transition-enter', 'h-transition-leave'];
+    const names = getDirectives(el).map(({ name }) => name);
+
+    names
+        .filter(name => {
+            const directive = name.split('.')[0].split(':')[0];
+            return !registry.has(directive) && !known.includes(directive);
+        })
+        .forEach(name => warn(`Unknown directive "${name}" (is it misspelt, or registered after init?): `, el));
+
+    // h-data and h-use create a context themselves
+    const needsContext = names.filter(name => name !== 'h-ref' && !name.startsWith('h-transition'));
+    if (needsContext.length && !el.hasAttribute('h-data') && !el.hasAttribute('h-use') && !getContext(el)) {
+        warn(`${needsContext.join(', ')} ignored, there's no h-data ancestor to get data from: `, el);
+    }
+};
+
+/**
+ * directive
+ * ---------
+ * Registers a custom directive (or replaces a built-in one), used as an
+ * `h-[name]` attribute. The handler is called once per element, with:
+ * - `el`: the element
+ * - `{ value, arg, modifiers, name }`: the attribute value and the parts of its
+ *   name (e.g. `h-tooltip:top.delay="msg"` -> "msg", "top", ["delay"])
+ * - `{ context, data, evaluate, effect, cleanup }`: helpers - `evaluate(expr)` 
+ *   evaluates an expression (default: the attribute value) in the element's 
+ *   scope, `effect(fn)` runs a reactive effect that's disposed with the element, 
+ *   and `cleanup(fn)` registers a cleanup function
+ * 
+ * The handler can also return a cleanup function. Directives run in order of 
+ * `priority` (lower first, default 0, h-init is 100), then attribute order.
+ * 
+ * Example:
+ * ```js
+ *   hamsterio.directive('tooltip', (el, { value }, { evaluate, effect }) => {
+ *       effect(() => el.title = evaluate());
+ *   });
+ * 
+ * ```
+ * Register directives before `init` runs (elements that are already initialised 
+ * aren't processed again).
+ * 
+ * @param {string} name - Directive name (e.g. "tooltip" or "h-tooltip")
+ * @param {Function} handler - Directive handler
+ * @param {Object} [options] - `{ priority }`
+ */
+export function directive(name, handler, { priority = 0 } = {}) {
+    const attribute = name.startsWith('h-') ? name : `h-${name}`;
+
+    if (typeof handler !== 'function') {
+        console.error('🐹 [directive] Handler must be a function: ', attribute);
+        return;
+    }
+
+    if (structuralDirectives.includes(attribute)) {
+        console.error('🐹 [directive] Can\'t replace a structural directive: ', attribute);
+        return;
+    }
+
+    registry.set(attribute, { handler, priority });
+};
+
+/**
+ * magic
+ * -----
+ * Registers a magic property, available in every expression (like `$el` or 
+ * `$store`). The function gets the element the expression belongs to and 
+ * `{ context, data, event }`, and its result is the magic's value. It's 
+ * only called when an expression actually uses the magic.
+ * 
+ * Example:
+ * ```js
+ *   hamsterio.magic('now', () => Date.now());
+ *   // <span h-text="$now"></span>
+ * 
+ * ```
+ * @param {string} name - Magic name (e.g. "now" or "$now")
+ * @param {Function} fn - Function returning the magic's value
+ */
+export function magic(name, fn) {
+    if (typeof fn !== 'function') {
+        console.error('🐹 [magic] Callback must be a function: ', name);
+        return;
+    }
+
+    magics.set(name.startsWith('$') ? name : `$${name}`, fn);
+};
+
+/**
+ * data
+ * ----
+ * Registers a reusable component: a factory returning the h-data object, so 
+ * the logic can live in a JS module instead of an attribute. Use it by name 
+ * in h-data, calling it with props (or without parentheses, for no props).
+ * 
+ * The object can have lifecycle methods: `init()` runs once the component's 
+ * context is created (before h-init), and `destroy()` runs on cleanup.
+ * 
+ * Example:
+ * ```js
+ *   hamsterio.data('dropdown', (props = {}) => ({
+ *       open: props.open ?? false,
+ *       toggle() { this.open = !this.open },
+ *       init() { console.log('Dropdown ready!') },
+ *   }));
+ *   // <div h-data="dropdown({ open: true })">...</div>
+ * 
+ * ```
+ * Register factories before `init` runs (elements that are already initialised 
+ * aren't processed again).
+ * 
+ * @param {string} name - Factory name (used in h-data)
+ * @param {Function} factory - Function returning the data object (gets the props)
+ */
+export function data(name, factory) {
+    if (typeof factory !== 'function') {
+        console.error('🐹 [data] Factory must be a function: ', name);
+        return;
+    }
+
+    factories.set(name, factory);
+};
+
+// Built-in directives
+directive('text', (el, { value }, { context }) => bindTextOrHTML(el, value, context));
+directive('html', (el, { value }, { context }) => bindTextOrHTML(el, value, context, true));
+directive('show', (el, { value }, { context }) => bindShow(el, value, context));
+directive('on', (el, { value, arg, modifiers }, { context }) => bindEvent(el, arg, value, modifiers, context));
+directive('bind', (el, { value, arg }, { context }) => bindAttribute(el, arg, value, context));
+directive('model', (el, { value, modifiers }, { context }) => bindModel(el, value, modifiers, context));
+directive('init', (el, { value }, { context }) => bindInit(el, value, context), { priority: 100 });
+directive('effect', (el, { value }, { context }) => bindEffect(el, value, context));
+
+// Built-in magics
+magic('$el', (el) => el);
+magic('$event', (el, { event }) => event);
+magic('$data', (el, { data }) => data);
+magic('$store', () => stores);
+magic('$parent', (el, { context }) => getParentScope(context));
+magic('$root', (el) => getComponent(el)?.el || null);
+magic('$refs', (el) => getComponent(el)?.refs || {});
+magic('$dispatch', (el) => (name, detail) => dispatch(el, name, detail));
+magic('$watch', (el, { context }) => (expr, callback) => watch(expr, callback, context, el));
+magic('$nextTick', () => nextTick);
+magic('$id', (el) => (prefix, key) => getId(el, prefix, key));
+magic('$persist', () => persist);
+
+/**
+ * getDirectiveHelpers
+ * -------------------
+ * Builds the helpers passed to directive handlers.
+ * 
+ * @param {HTMLElement} el - Element the directive is on
+ * @param {string} name - Full attribute name (e.g. "h-tooltip.delay")
+ * @param {string} value - Attribute value
+ * @param {Object} context - Reactive context
+ * @returns {Object} Helpers (`context`, `data`, `evaluate`, `effect`, `cleanup`)
+ */
+function getDirectiveHelpers(el, name, value, context) {
+    return {
+        context,
+        data: context.data,
+        evaluate: (expr = value) => evaluateExpression(expr, context, el, name),
+        effect: (fn) => {
+            // Errors (on any run) are reported with the directive they came from
+            const dispose = createEffect(() => {
+                try {
+                    fn();
+                } catch (e) {
+                    reportError(e, value, el, name);
+                }
+            });
+            context.cleanup.push(dispose);
+            return dispose;
+        },
+        cleanup: (fn) => context.cleanup.push(fn),
+    };
+};
+
+/**
+ * processClone
+ * ------------
+ * Processes an element rendered by h-for/h-if in its own effect root, so its 
+ * effects belong to the element (and are disposed by `cleanup`), not to the 
+ * effect that rendered it - which would dispose them whenever it re-runs.
+ * 
+ * @param {HTMLElement} el - Rendered element to process
+ */
+function processClone(el) {
+    createRoot(dispose => {
+        processElement(el);
+        contexts.get(el)?.cleanup.push(dispose);
+    });
 };
 
 /**
@@ -125,10 +521,13 @@ function getDirectives(el) {
  * Retrieves the reactive context for an element.
  * Walks up the DOM tree to find the nearest h-data parent if needed.
  * 
+ * Exported for plugins and devtools, e.g. to find the scope an element 
+ * belongs to (`getContext(el).el`).
+ * 
  * @param {HTMLElement} el - Element to get context for
  * @returns {Object|null} Context object or null if no h-data parent found
  */
-function getContext(el) {
+export function getContext(el) {
     // Check if this element has its own context
     if (contexts.has(el)) return contexts.get(el);
     
@@ -147,9 +546,19 @@ function getContext(el) {
  * initData
  * --------
  * Processes h-data attribute and creates a reactive context.
- * Wraps each data property in a signal for automatic reactivity.
+ * Wraps the data object in a deeply reactive store, so nested objects and
+ * arrays are reactive too (e.g. `todos.push(todo)` or `user.name = 'Bob'`).
+ * Getters become computed properties.
+ * 
+ * Nested h-data scopes inherit from their parents: expressions (and `this` in
+ * methods) can read parent data, and writes go to the scope that owns the key.
  * 
- * Example: `h-data="{ count: 0, name: 'John' }"`
+ * The object can also come from a registered factory (see `data`), and its 
+ * `init()`/`destroy()` methods are called on init/cleanup.
+ * 
+ * Examples: 
+ * - `h-data="{ count: 0, name: 'John', get greeting() { return 'Hi ' + this.name } }"`
+ * - `h-data="dropdown({ open: true })"`
  * 
  * @param {HTMLElement} el - Element with h-data attribute
  */
@@ -157,59 +566,96 @@ function initData(el) {
     const expr = el.getAttribute('h-data');
     let data = {};
 
+    // Find the enclosing scope (a scoped h-for/h-if context set on this element,
+    // or the nearest h-data ancestor)
+    const parentContext = contexts.get(el) || (el.parentElement && getContext(el.parentElement));
+
     try {
         // Parse the JavaScript object expression (e.g. "{ count: 0 }" becomes an actual object)
+        // Evaluated in the enclosing scope, so it can use parent data (e.g. "{ total: item.price }")
         if (expr.trim()) {
-            const fn = new Function(`return ${expr}`);
-            data = fn();
+            const scope = parentContext || { data: {}, el, cleanup: [] };
+            data = evaluate(expr, scope.data, getFactoryMagics(scope, el));
+        }
+
+        // A factory used without parentheses (e.g. "dropdown")
+        if (typeof data === 'function') {
+            data = data();
         }
     } catch (e) {
-        console.error('🐹 [h-data] Parse error: ', e);
+        reportError(e, expr, el, 'h-data');
         return;
     }
 
-    // Create signals for each property to every property automatically reactive
-    const signals = {};
-    const proxy = {};
-
-    for (const [key, value] of Object.entries(data)) {
-        // Check if value is function
-        if (typeof value === 'function') {
-            // Store function as is binding to context
-            proxy[key] = value.bind(proxy);
-
-            // Store method metadata, not bound function
-            signals[key] = { type: 'function', fn: value };
-
-            // Skip signal creation for methods
-            continue;
-        }
-
-        const [get, set] = createSignal(value);
-
-        // Store signal for potential cleanup later
-        signals[key] = { get, set };
-
-        // Create proxy property that reads/writes to the signal
-        // context.data.count++ actually calls set(get() + 1)
-        Object.defineProperty(proxy, key, {
-            get() { return get(); },
-            set(val) { set(val); },
-            enumerable: true
-        });
-    }
+    // Make every property (at any depth) automatically reactive
+    // context.data.todos.push(todo) only re-runs effects that read todos
+    // Names resolve through the enclosing scopes, and writes go to whichever scope owns the key
+    const cleanup = [];
+    const proxy = prepareData(data, cleanup, parentContext?.data);
 
     // Create the context object that gets passed to all directives
     const context = {
         data: proxy, // Reactive data proxy
-        signals, // Raw signals (for advanced use)
         el, // The element itself
         $el: el, // Alpine.js compatible alias
-        cleanup: [], // Cleanup functions
+        cleanup, // Cleanup functions (incl. saving persisted properties)
+        refs: {}, // Elements with h-ref inside the component (see $refs)
+        ids: {}, // Ids generated by $id, by prefix
     };
 
     // Store context in WeakMap for this element
     contexts.set(el, context);
+
+    emit('context', el, { el, context });
+
+    // Lifecycle methods (own ones only, not the parent scope's)
+    context.cleanup.push(() => callDataHook(data, 'destroy', el));
+
+    // Effects created by init() belong to the component
+    createRoot(dispose => {
+        context.cleanup.push(dispose);
+        batch(() => callDataHook(data, 'init', el));
+    });
+};
+
+/**
+ * getFactoryMagics
+ * ----------------
+ * Gets the magics for an h-data expression, plus the registered data 
+ * factories (so `h-data="dropdown()"` finds `dropdown`).
+ * 
+ * @param {Object} scope - Enclosing context
+ * @param {HTMLElement} el - Element with h-data
+ * @returns {Proxy} Magics and factories
+ */
+function getFactoryMagics(scope, el) {
+    const scopeMagics = getMagics(scope, el);
+
+    return new Proxy({}, {
+        has: (target, name) => factories.has(name) || name in scopeMagics,
+        get: (target, name) => factories.has(name) ? factories.get(name) : scopeMagics[name],
+    });
+};
+
+/**
+ * callDataHook
+ * ------------
+ * Calls a lifecycle method (`init` or `destroy`) of an h-data object, if it 
+ * has one of its own. Errors (incl. async ones) are reported.
+ * 
+ * @param {Object} data - Raw h-data object (methods are bound to its proxy)
+ * @param {string} name - Method name
+ * @param {HTMLElement} el - Element with h-data (for error reporting)
+ */
+function callDataHook(data, name, el) {
+    if (!Object.prototype.hasOwnProperty.call(data, name) || typeof data[name] !== 'function') return;
+
+    try {
+        const result = data[name]();
+        if (result instanceof Promise) trackPending(result.catch(err => reportError(err, `${name}()`, el, 'h-data')));
+    } catch (err) {
+        reportError(err, `${name}()`, el, 'h-data');
+    }
 };
 
 /**
@@ -230,11 +676,14 @@ function initData(el) {
 function bindTextOrHTML(el, expr, context, isHTML = false) {
     if (!context) return;
 
+    // Server-rendered text that's already right is kept on the first run (hydration)
+    let hydrating = true;
+
     // Create an effect that automatically re-runs when signals change
     const dispose = createEffect(() => {
         try {
             // Evaluate the expression (e.g., "count" or "firstName + ' ' + lastName")
-            const value = evaluateExpression(expr, context);
+            const value = evaluateExpression(expr, context, el, isHTML ? 'h-html' : 'h-text');
 
             // Check whether to update innerHTML or textContent
             if (isHTML) {
@@ -244,9 +693,14 @@ function bindTextOrHTML(el, expr, context, isHTML = false) {
             }
 
             // Update the text content (converts undefined/null to empty string)
-            el.textContent = value ?? '';
+            const text = String(value ?? '');
+            if (hydrating && el.textContent === text) return;
+
+            el.textContent = text;
         } catch (e) {
-            console.error('🐹 [h-text] Error: ', e);
+            reportError(e, expr, el, isHTML ? 'h-html' : 'h-text');
+        } finally {
+            hydrating = false;
         }
     });
 
@@ -285,7 +739,7 @@ function bindShow(el, expr, context) {
     const dispose = createEffect(() => {
         try {
             // Evaluate expression as boolean
-            const show = evaluateExpression(expr, context);
+            const show = evaluateExpression(expr, context, el, 'h-show');
 
             // Showing
             if (show) {
@@ -334,7 +788,7 @@ function bindShow(el, expr, context) {
                 }
             }
         } catch (e) {
-            console.error('🐹 [h-show] Error: ', e);
+            reportError(e, expr, el, 'h-show');
         }
     });
 
@@ -343,390 +797,1613 @@ function bindShow(el, expr, context) {
 };
 
 /**
- * bindFor
- * -------
- * Implements h-for directive for list rendering.
- * Clones a template element for each item in an array.
+ * bindIf
+ * ------
+ * Implements h-if directive (with h-else-if/h-else siblings) for conditional rendering.
+ * Unlike h-show, branches that aren't active don't exist in the DOM at all: 
+ * their content is cloned and initialised when shown, and cleaned up and 
+ * removed when hidden.
  * 
- * Supports two syntaxes:
- * - Simple: `h-for="item in items"`
- * - With index: `h-for="(item, index) in items"`
+ * Transitions are read from the template of each branch (`h-transition-enter`
+ * and `h-transition-leave`) and applied to the rendered elements.
  * 
- * @param {HTMLElement} el - Template element to repeat
- * @param {string} expr - Loop expression
+ * Example:
+ * ```html
+ *   <template h-if="role === 'admin'"><div>Admin panel</div></template>
+ *   <template h-else-if="role === 'editor'"><div>Editor panel</div></template>
+ *   <template h-else><div>Nothing to see here</div></template>
+ * 
+ * ```
+ * @param {HTMLElement} el - Template element with h-if
+ * @param {string} expr - JavaScript expression to evaluate
  * @param {Object} context - Reactive context
  */
-function bindFor(el, expr, context) {
-	if (!context) return;
+function bindIf(el, expr, context) {
+    if (!context) return;
 
-	// Parse the expression using regex
-	// Matches: "item in items" or "(item, index) in items"
-	const match = expr.match(/^\s*(?:\(([^,]+),\s*([^)]+)\)|([^)\s]+))\s+in\s+(.+)$/);
-	if (!match) {
-		console.error('🐹 [h-for] Invalid syntax: ', expr);
-		return;
-	}
+    const parent = el.parentNode;
+    if (!parent) {
+        console.error('🐹 [h-if] Element must have a parent: ', el);
+        return;
+    }
 
-	// Extract variable names and array expression
-	const itemName = match[3] || match[1]; // e.g. "item"
-	const indexName = match[2] || 'index'; // e.g. "index" or "i"
-	const itemsExpr = match[4]; // e.g. "items" or "todos"
+    // Collect this branch and any h-else-if/h-else siblings that follow it
+    const branches = [{ expr, template: el, attribute: 'h-if' }];
+    let sibling = el.nextElementSibling;
 
-    // Get the template content
-    const isTemplate = el.tagName === 'TEMPLATE';
-    const templateContent = isTemplate ? el.content : el;
+    while (sibling) {
+        const next = sibling.nextElementSibling;
 
-	// Clone the template and remove h-for to prevent infinite loop (if not template tag)
-	const template = templateContent.cloneNode(true);
-    if (!isTemplate) {
-        template.removeAttribute('h-for');
+        if (sibling.hasAttribute('h-else-if')) {
+            branches.push({ expr: sibling.getAttribute('h-else-if'), template: sibling, attribute: 'h-else-if' });
+        } else if (sibling.hasAttribute('h-else')) {
+            branches.push({ expr: null, template: sibling });
+        } else {
+            break;
+        }
+
+        // Branches are rendered from the marker, so they can leave the DOM
+        sibling.remove();
+
+        // Nothing can follow h-else
+        if (!branches[branches.length - 1].expr) break;
+
+        sibling = next;
     }
-	
-	// Replace original element with a comment marker
-	// This marker keeps track of where to insert rendered items
-	const parent = el.parentElement;
-	const marker = document.createComment('h-for');
-	parent.replaceChild(marker, el);
 
-	// Keep track of rendered nodes for cleanup
-	let nodes = [];
+    // Replace original element with a comment marker
+    // This marker keeps track of where to insert the active branch
+    const marker = document.createComment('h-if');
+    parent.replaceChild(marker, el);
 
-	// Create effect that re-renders whenever array changes
-	const dispose = createEffect(() => {
-		try {
-			// Evaluate the array expression
-			const items = evaluateExpression(itemsExpr, context);
-			
-			// Clean up previous render
-			nodes.forEach(n => {
-                cleanup(n);
-                n.remove();
+    // Keep track of the active branch and its rendered nodes
+    let activeIndex = -1;
+    let nodes = [];
+
+    const dispose = createEffect(() => {
+        try {
+            // Find the first branch whose condition holds (h-else always does)
+            const index = branches.findIndex(branch => 
+                branch.expr == null || evaluateExpression(branch.expr, context, branch.template, branch.attribute)
+            );
+
+            // Same branch as before, nothing to (re-)render
+            if (index === activeIndex) return;
+            activeIndex = index;
+
+            // Clean up and remove the previous branch
+            nodes.forEach(({ node, transition }) => {
+                cleanup(node);
+                transitionLeave(node, transition, () => node.remove());
             });
-			nodes = [];
-
-			// Ensure we have an array
-			if (!Array.isArray(items)) return;
-
-			// Render each item
-			items.forEach((item, idx) => {
-				// Clone the template for this item
-				const clone = template.cloneNode(true);
-
-                // Get actual elements to process
-                const elements = isTemplate 
-                    ? Array.from(clone.children) 
-                    : [clone];
-
-                elements.forEach(element => {
-                    // Create a new scoped context with loop variables
-                    // This adds "item" and "index" to the parent context
-                    const scopedData = {
-                        ...context.data,
-                        [itemName]: item, // e.g. item = "Apple"
-                        [indexName]: idx // e.g. index = 0
-                    };
+            nodes = [];
 
-                    const scopedContext = {
-                        data: scopedData,
-                        el: element,
-                        $el: element
-                    };
+            if (index === -1) return;
 
-                    // Store scoped context for this cloned element
-                    contexts.set(element, scopedContext);
-                    
-                    // Process directives on the cloned element
-                    processElement(element);
-                    
-                    // Insert before the marker comment
-                    parent.insertBefore(element, marker);
-                    
-                    // Track for cleanup on next render
-                    nodes.push(element);
-                });
-			});
-		} catch (e) {
-			console.error('🐹 [h-for] Error: ', e);
-		}
-	});
+            // Render the new branch
+            const template = branches[index].template;
+            const transition = getTransitionClasses(template);
+            const isTemplate = template.tagName === 'TEMPLATE';
 
-    // Track effect disposal
-    context.cleanup.push(dispose);
-};
+            // Give each rendered element its own context, so it can be cleaned up independently
+            const { nodes: elements } = cloneScoped(isTemplate ? template.content : template, context.data);
 
-/**
- * bindEvent
- * ---------
- * Implements h-on directive for event handling.
- * Attaches event listeners that can access reactive data.
- * Supports await for async event handlers.
- * 
+            elements.forEach(element => {
+                // Remove branch attributes to prevent infinite loop (if not template tag)
+                ['h-if', 'h-else-if', 'h-else'].forEach(attr => element.removeAttribute(attr));
+
+                // Insert before the marker comment, then process directives
+                marker.parentNode.insertBefore(element, marker);
+                processClone(element);
+                transitionEnter(element, transition);
+
+                // Track for cleanup when the branch changes
+                nodes.push({ node: element, transition });
+            });
+        } catch (e) {
+            reportError(e, expr, el, 'h-if');
+        }
+    });
+
+    // Track effect disposal (and clean up the active branch with it)
+    context.cleanup.push(() => {
+        dispose();
+        nodes.forEach(({ node }) => {
+            cleanup(node);
+            node.remove();
+        });
+        nodes = [];
+
+        // Put the original branches back, so they can be initialised again
+        marker.replaceWith(...branches.map(branch => branch.template));
+        initialised.delete(el);
+    });
+};
+
+/**
+ * getTransitionClasses
+ * --------------------
+ * Reads the `h-transition-enter` and `h-transition-leave` classes of an element.
+ * 
+ * @param {HTMLElement} el - Element with transition attributes
+ * @returns {Object} Object with `enter` and `leave` class arrays (or undefined if not set)
+ */
+function getTransitionClasses(el) {
+    return {
+        enter: el.getAttribute('h-transition-enter')?.split(' ').filter(c => c),
+        leave: el.getAttribute('h-transition-leave')?.split(' ').filter(c => c),
+    };
+};
+
+/**
+ * transitionEnter
+ * ---------------
+ * Applies enter transition classes to a freshly inserted element.
+ * 
+ * @param {HTMLElement} el - Element entering the DOM
+ * @param {Object} transition - Transition classes (from `getTransitionClasses`)
+ */
+function transitionEnter(el, { enter, leave }) {
+    if (!enter) return;
+
+    requestAnimationFrame(() => {
+        if (leave) {
+            el.classList.remove(...leave);
+        }
+
+        el.classList.add(...enter);
+    });
+};
+
+/**
+ * transitionLeave
+ * ---------------
+ * Applies leave transition classes and calls `done` once the transition or
+ * animation has finished (or straight away if there's nothing to wait for).
+ * 
+ * @param {HTMLElement} el - Element leaving the DOM
+ * @param {Object} transition - Transition classes (from `getTransitionClasses`)
+ * @param {Function} done - Called when the element can be removed
+ */
+function transitionLeave(el, { enter, leave }, done) {
+    if (!leave) return done();
+
+    if (enter) {
+        el.classList.remove(...enter);
+    }
+
+    el.classList.add(...leave);
+
+    // Only wait if the leave classes actually transition/animate something
+    const style = getComputedStyle(el);
+    const hasDuration = [style.transitionDuration, style.animationDuration]
+        .some(duration => (duration || '').split(',').some(d => parseFloat(d) > 0));
+
+    if (!hasDuration) return done();
+
+    const onEnd = (e) => {
+        if (e.target !== el) return;
+
+        el.removeEventListener('transitionend', onEnd);
+        el.removeEventListener('animationend', onEnd);
+        done();
+    };
+
+    el.addEventListener('transitionend', onEnd);
+    el.addEventListener('animationend', onEnd);
+};
+
+/**
+ * bindFor
+ * -------
+ * Implements h-for directive for list rendering.
+ * Clones a template element for each item in an array (or object, or range).
+ * 
+ * Rendered rows are reconciled by key: existing rows are kept (and moved if
+ * reordered), only added/removed items are created/cleaned up, and the loop
+ * variables of kept rows are updated in place through their signals. Without 
+ * a key, rows are matched by position (or property name for objects).
+ * 
+ * Supports these syntaxes:
+ * - Simple: `h-for="item in items"`
+ * - With index: `h-for="(item, index) in items"`
+ * - Objects: `h-for="(value, key) in object"` or `h-for="(value, key, index) in object"`
+ * - Ranges: `h-for="n in 10"` (1 to 10)
+ * - Keyed: `<template h-for="todo in todos" h-bind:key="todo.id">` (or `:key`)
+ * 
+ * @param {HTMLElement} el - Template element to repeat
+ * @param {string} expr - Loop expression
+ * @param {Object} context - Reactive context
+ */
+function bindFor(el, expr, context) {
+	if (!context) return;
+
+	// Parse the expression using regex
+	// Matches: "item in items", "(item, index) in items" or "(value, key, index) in object"
+	const match = expr.match(/^\s*(?:\(([^)]+)\)|(\S+))\s+in\s+(.+)$/);
+	if (!match) {
+		console.error('🐹 [h-for] Invalid syntax: ', expr);
+		return;
+	}
+
+	// Extract variable names and items expression
+	const [itemName, keyName = 'index', indexName] = (match[1] || match[2])
+        .split(',')
+        .map(name => name.trim()); // e.g. "item", "index"
+	const itemsExpr = match[3]; // e.g. "items" or "todos"
+
+    // Get the key expression (e.g. "todo.id"), if any
+    const keyExpr = el.getAttribute('h-bind:key') ?? el.getAttribute(':key');
+
+    // Get the template content
+    const isTemplate = el.tagName === 'TEMPLATE';
+    const templateContent = isTemplate ? el.content : el;
+
+	// Clone the template and remove h-for to prevent infinite loop (if not template tag)
+	const template = templateContent.cloneNode(true);
+    if (!isTemplate) {
+        ['h-for', 'h-bind:key', ':key'].forEach(attr => template.removeAttribute(attr));
+    }
+	
+    const parent = el.parentNode;
+    if (!parent) {
+        console.error('🐹 [h-for] Element must have a parent: ', el);
+        return;
+    }
+
+    // Server-rendered rows (marked with data-h-key) right after the element, 
+    // adopted on the first run instead of being re-rendered (hydration)
+    const serverRows = new Map();
+    let lastServerRow = null;
+
+    for (let sibling = el.nextSibling; sibling; ) {
+        const next = sibling.nextSibling;
+
+        // Whitespace between rows would stop them from matching their rendered positions
+        if (sibling.nodeType === 3 && !sibling.textContent.trim()) {
+            if (next?.nodeType === 1 && next.hasAttribute('data-h-key')) sibling.remove();
+            sibling = next;
+            continue;
+        }
+
+        if (sibling.nodeType !== 1 || !sibling.hasAttribute('data-h-key')) break;
+
+        const key = sibling.getAttribute('data-h-key');
+        if (!serverRows.has(key)) serverRows.set(key, []);
+
+        serverRows.get(key).push(sibling);
+        lastServerRow = sibling;
+        sibling = next;
+    }
+
+	// Replace original element with a comment marker
+	// This marker keeps track of where to insert rendered items
+	const marker = document.createComment('h-for');
+	parent.replaceChild(marker, el);
+
+    // Rows are rendered before the marker, so server-rendered ones can stay where they are
+    if (lastServerRow) lastServerRow.after(marker);
+
+	// Keep track of rendered rows (in DOM order) for reconciliation
+	let rows = [];
+
+    // Map a loop entry to its loop variables (e.g. { item: 'Apple', index: 0 })
+    const getVars = ({ value, key, index }) => {
+        const vars = { [itemName]: value, [keyName]: key };
+        if (indexName) vars[indexName] = index;
+        return vars;
+    };
+
+    // Create a row: a scoped context (inheriting parent data) with loop variables backed by signals
+    const createRow = (key, vars) => {
+        const { data, update } = createScopedData(context.data, vars);
+
+        // Adopt the server-rendered row with this key, or clone the template
+        // (refs inside rows are collected as arrays)
+        const serverNodes = serverRows.get(String(key));
+        serverRows.delete(String(key));
+
+        const nodes = serverNodes
+            ? scopeNodes(serverNodes, data, { loop: true })
+            : cloneScoped(template, data, { loop: true }).nodes;
+
+        // A row is the range between its own markers: structural directives on 
+        // its elements (e.g. a nested h-if) swap them for markers of their own
+        const start = document.createComment('h-for-row');
+        const end = document.createComment('/h-for-row');
+
+        if (serverNodes) {
+            serverNodes[0].before(start);
+            serverNodes[serverNodes.length - 1].after(end);
+        }
+
+        return { key, nodes, start, end, update, isNew: true };
+    };
+
+    // Clean up a row's elements, and remove everything it rendered
+    const removeRow = (row) => {
+        row.nodes.forEach(node => cleanup(node));
+        getRowNodes(row).forEach(node => node.remove());
+    };
+
+	// Create effect that reconciles rows whenever items change
+	const dispose = createEffect(() => {
+		try {
+			// Evaluate the items expression and normalise to entries
+			const entries = getLoopEntries(evaluateExpression(itemsExpr, context, el, 'h-for'));
+
+            // Index existing rows by key (duplicate keys queue up, rather than getting lost)
+            const oldRows = new Map();
+            rows.forEach(row => {
+                if (!oldRows.has(row.key)) oldRows.set(row.key, []);
+                oldRows.get(row.key).push(row);
+            });
+
+            const seenKeys = new Set();
+
+            const nextRows = entries.map(entry => {
+                const vars = getVars(entry);
+
+                // Evaluate key with plain loop variables (e.g. "todo.id"), or fall back to position/property
+                const key = keyExpr 
+                    ? evaluateExpression(keyExpr, { ...context, data: Object.create(context.data, Object.getOwnPropertyDescriptors(vars)) }, el, 'h-bind:key') 
+                    : entry.key;
+
+                if (seenKeys.has(key)) {
+                    console.warn('🐹 [h-for] Duplicate key: ', key);
+                }
+                seenKeys.add(key);
+
+                // Reuse existing row and update its loop variables in place
+                const row = oldRows.get(key)?.shift();
+                if (row) {
+                    row.isNew = false;
+                    row.update(vars);
+                    return row;
+                }
+
+                return createRow(key, vars);
+            });
+
+            // Remove server-rendered rows the data doesn't have (marked as initialised, 
+            // so the parent doesn't process them on its way past)
+            serverRows.forEach(nodes => nodes.forEach(node => {
+                initialised.add(node);
+                node.remove();
+            }));
+            serverRows.clear();
+
+            // Clean up and remove rows that are gone
+            oldRows.forEach(leftover => leftover.forEach(removeRow));
+
+            // Move/insert rows into place, walking backwards from the marker
+            let next = marker;
+            for (let i = nextRows.length - 1; i >= 0; i--) {
+                const row = nextRows[i];
+
+                if (row.end.nextSibling !== next) {
+                    const nodes = row.start.parentNode ? getRowNodes(row) : [row.start, ...row.nodes, row.end];
+                    nodes.forEach(node => marker.parentNode.insertBefore(node, next));
+                }
+
+                next = row.start;
+            }
+
+            // Process directives on new rows (once they're in the DOM)
+            nextRows.forEach(row => {
+                if (row.isNew) row.nodes.forEach(node => processClone(node));
+            });
+
+            rows = nextRows;
+		} catch (e) {
+			reportError(e, expr, el, 'h-for');
+		}
+	});
+
+    // Track effect disposal (and clean up rendered rows with it)
+    context.cleanup.push(() => {
+        dispose();
+        rows.forEach(removeRow);
+        rows = [];
+
+        // Put the original element back, so it can be initialised again
+        marker.replaceWith(el);
+        initialised.delete(el);
+    });
+};
+
+/**
+ * getRowNodes
+ * -----------
+ * Lists the nodes an h-for row spans in the DOM, from its start marker to 
+ * its end marker (both included).
+ * 
+ * @param {Object} row - Row (`{ start, end }`)
+ * @returns {Array<Node>} Nodes of the row
+ */
+function getRowNodes({ start, end }) {
+    const nodes = [start];
+
+    for (let node = start; node && node !== end; ) {
+        node = node.nextSibling;
+        if (node) nodes.push(node);
+    }
+
+    return nodes;
+};
+
+/**
+ * registerComponent
+ * -----------------
+ * Registers a component definition: a template with the component's markup, 
+ * used by name with h-use.
+ * 
+ * Example: `<template h-component="user-card"><h3 h-text="user.name"></h3></template>`
+ * 
+ * @param {HTMLElement} el - Element with h-component attribute
+ */
+function registerComponent(el) {
+    if (el.tagName !== 'TEMPLATE') {
+        console.error('🐹 [h-component] Must be a <template> element: ', el);
+        return;
+    }
+
+    components.set(el.getAttribute('h-component'), el);
+};
+
+/**
+ * bindComponent
+ * -------------
+ * Implements h-use directive, rendering a component (see `registerComponent`) 
+ * into the element. The component's markup gets its own scope with just the 
+ * props from h-props, backed by signals (like h-for loop variables) that update 
+ * when the parent data they read changes.
+ * 
+ * The element's children fill the component's `<slot>` elements: children with 
+ * `h-slot="name"` go to `<slot name="name">`, the rest to the default `<slot>` 
+ * (a slot's own children are the fallback). Slot content keeps the parent scope.
+ * 
+ * Example:
+ * ```html
+ *   <div h-use="user-card" h-props="{ user }">
+ *       <template h-slot="footer"><button h-on:click="follow(user)">Follow</button></template>
+ *   </div>
+ * 
+ * ```
+ * The element gets its own context (in the parent scope), so cleaning it up 
+ * removes the component and puts the original children back.
+ * 
+ * @param {HTMLElement} el - Element with h-use attribute
+ * @param {string} name - Component name
+ * @param {Object} context - Reactive context (of the parent scope)
+ */
+function bindComponent(el, name, context) {
+    const definition = components.get(name);
+    if (!definition) {
+        console.error('🐹 [h-use] Unknown component: ', name);
+        return;
+    }
+
+    if (el.hasAttribute('h-data')) {
+        console.error('🐹 [h-use] Use h-props to pass data to a component, not h-data: ', el);
+        return;
+    }
+
+    // The element stays in the parent scope (for its own directives and h-props)
+    const hostContext = contexts.get(el) || {
+        data: context ? context.data : {},
+        el,
+        $el: el,
+        cleanup: [],
+    };
+    contexts.set(el, hostContext);
+
+    // Each instance is a component of its own (for $refs, $id and $root)
+    hostContext.refs = {};
+    hostContext.ids = {};
+
+    // Props are backed by signals (like h-for loop variables), so only what reads a changed prop re-runs
+    const propsExpr = el.getAttribute('h-props');
+    const { data: props, update } = createScopedData(null, {});
+
+    const dispose = createEffect(() => {
+        update((propsExpr && evaluateExpression(propsExpr, hostContext, el, 'h-props')) || {});
+    });
+
+    // Sort the element's children into slots (whitespace doesn't count as content)
+    const original = Array.from(el.childNodes);
+    const slots = { default: [] };
+
+    original.forEach(node => {
+        const slotName = node.nodeType === 1 && node.getAttribute('h-slot');
+
+        if (slotName) {
+            slots[slotName] = node.tagName === 'TEMPLATE' 
+                ? Array.from(node.content.cloneNode(true).childNodes) 
+                : [node];
+        } else if (node.nodeType !== 3 || node.textContent.trim()) {
+            slots.default.push(node);
+        }
+    });
+
+    // Clone the component, giving each element a context in the component's scope
+    const { clone: fragment } = cloneScoped(definition.content, props);
+
+    // Fill the slots (slot content keeps the parent scope)
+    fragment.querySelectorAll('slot').forEach(slot => {
+        const content = slots[slot.getAttribute('name') || 'default'];
+
+        if (!content?.length) {
+            slot.replaceWith(...slot.childNodes);
+            return;
+        }
+
+        scopeNodes(content.filter(node => node.nodeType === 1), hostContext.data, { slotOf: el });
+        slot.replaceWith(...content);
+    });
+
+    // Children (incl. the component) are processed after this, like any other children
+    el.replaceChildren(fragment);
+
+    // Track effect disposal (and remove the component with it)
+    hostContext.cleanup.push(() => {
+        dispose();
+
+        // Put the original children back, so it can be initialised again
+        el.replaceChildren(...original);
+    });
+};
+
+/**
+ * createScopedData
+ * ----------------
+ * Creates the data of a scope rendered from a template (an h-for row, or a 
+ * component): variables backed by signals, on top of the enclosing data (if any).
+ * `update(vars)` sets them in place, so only what reads a changed variable 
+ * re-runs. Variables missing from `vars` are reset to `undefined`.
+ * 
+ * @param {Object|null} parentData - Data of the enclosing scope (null for none)
+ * @param {Object} vars - Initial variables (e.g. `{ item: 'Apple', index: 0 }`)
+ * @returns {Object} `{ data, update }`
+ */
+function createScopedData(parentData, vars) {
+    const data = parentData ? Object.create(parentData) : {};
+    const setters = new Map();
+
+    const update = (vars) => {
+        setters.forEach((set, name) => {
+            if (!(name in vars)) set(undefined);
+        });
+
+        Object.entries(vars).forEach(([name, value]) => {
+            if (setters.has(name)) {
+                setters.get(name)(value);
+                return;
+            }
+
+            const [get, set] = createSignal(value, name);
+            setters.set(name, set);
+
+            Object.defineProperty(data, name, { get, set, enumerable: true });
+        });
+    };
+
+    update(vars);
+
+    return { data, update };
+};
+
+/**
+ * cloneScoped
+ * -----------
+ * Clones a template (a `<template>`'s content, or an element), and gives each 
+ * of its elements a context of its own with the given data (see `scopeNodes`).
+ * 
+ * @param {DocumentFragment|HTMLElement} template - Content to clone
+ * @param {Object} data - Data of the clone's scope
+ * @param {Object} [options] - Extra context properties (e.g. `{ loop: true }`)
+ * @returns {Object} `{ clone, nodes }` (the clone, and its elements)
+ */
+function cloneScoped(template, data, options = {}) {
+    const clone = template.cloneNode(true);
+    const nodes = clone.nodeType === 11 ? Array.from(clone.children) : [clone];
+
+    return { clone, nodes: scopeNodes(nodes, data, options) };
+};
+
+/**
+ * scopeNodes
+ * ----------
+ * Gives elements a context of their own with the given data, so they can 
+ * be cleaned up independently.
+ * 
+ * @param {Array<HTMLElement>} nodes - Elements
+ * @param {Object} data - Data of their scope
+ * @param {Object} [options] - Extra context properties (`loop: true` for h-for rows, collecting refs as arrays; `slotOf` for slot content)
+ * @returns {Array<HTMLElement>} The elements
+ */
+function scopeNodes(nodes, data, options = {}) {
+    nodes.forEach(node => {
+        contexts.set(node, {
+            data,
+            el: node,
+            $el: node,
+            cleanup: [],
+            ...options,
+        });
+    });
+
+    return nodes;
+};
+
+/**
+ * getLoopEntries
+ * --------------
+ * Normalises what h-for iterates over into a list of entries.
+ * - Arrays (and other iterables): key is the index
+ * - Numbers: a range from 1 to n (e.g. `n in 5`)
+ * - Objects: key is the property name
+ * 
+ * @param {*} items - Result of the h-for items expression
+ * @returns {Array<Object>} Array of `{ value, key, index }` objects
+ */
+function getLoopEntries(items) {
+    if (typeof items === 'number') {
+        return Array.from({ length: Math.max(0, Math.floor(items)) }, (_, i) => ({ value: i + 1, key: i, index: i }));
+    }
+
+    if (items == null || typeof items !== 'object') return [];
+
+    if (Array.isArray(items) || typeof items[Symbol.iterator] === 'function') {
+        return Array.from(items, (value, i) => ({ value, key: i, index: i }));
+    }
+
+    return Object.entries(items).map(([key, value], index) => ({ value, key, index }));
+};
+
+/**
+ * bindEvent
+ * ---------
+ * Implements h-on directive for event handling.
+ * Attaches event listeners that can access reactive data.
+ * Supports await for async event handlers. Signal writes made before the 
+ * first await are batched, so effects re-run once per event.
+ * 
+ * Modifiers:
+ * - `.prevent` / `.stop` - call `preventDefault()` / `stopPropagation()`
+ * - `.once` - run the handler only once
+ * - `.passive` / `.capture` - native listener options
+ * - `.self` - only run if the event was dispatched on the element itself
+ * - `.outside` - only run for events outside the element (e.g. click-outside)
+ * - `.window` / `.document` - listen on `window` / `document` instead
+ * - `.debounce` / `.throttle` - rate limit the handler (e.g. `.debounce.300ms`, default 250ms)
+ * - Key filters - `.enter`, `.escape`, `.space`, `.ctrl.k`, `.shift.arrow-up`, etc.
+ * 
  * Examples: 
  * - `<button h-on:click="count++">Increment</button>`  
- * - `<form h-on:submit="await handleSubmit($event)">Submit</form>`
+ * - `<form h-on:submit.prevent="await handleSubmit($event)">Submit</form>`
+ * - `<div h-on:click.outside="open = false">Dropdown</div>`
+ * - `<input h-on:keydown.enter="save()">`
  * 
  * @param {HTMLElement} el - Element to attach listener to
  * @param {string} eventName - Event name (e.g., "click", "input")
  * @param {string} stmt - JavaScript statement to execute
+ * @param {Array<string>} modifiers - Event modifiers (e.g. ["prevent", "once"])
  * @param {Object} context - Reactive context
  */
-function bindEvent(el, eventName, stmt, context) {
+function bindEvent(el, eventName, stmt, modifiers, context) {
     if (!context || !eventName) return;
 
+    const has = (modifier) => modifiers.includes(modifier);
+
+    // Work out where to listen (click-outside needs to see clicks anywhere)
+    let target = el;
+    if (has('window')) target = window;
+    if (has('document') || has('outside')) target = document;
+
+    // Listen to outside events while capturing, before handlers inside 
+    // the page get a chance to change the element's visibility
+    const options = { 
+        capture: has('capture') || has('outside'), 
+        passive: has('passive'),
+    };
+
     // Create event handler function with access to:
     // - $event: the native event object
     // - $el: the element itself
     // - $data: the reactive data (via 'with' statement)
+    let run = (e) => {
+        batch(() => executeStatement(stmt, context, el, `h-on:${eventName}`, e));
+    };
+
+    // Rate limit the statement (filters and prevent/stop below still run on every event)
+    if (has('debounce')) {
+        run = debounce(run, getModifierDuration(modifiers, 'debounce'));
+    } else if (has('throttle')) {
+        run = throttle(run, getModifierDuration(modifiers, 'throttle'));
+    }
+
     const handler = (e) => {
-        executeStatement(stmt, context, e).catch(err => {
-            console.error(`🐹 [h-on:${eventName}] Error: `, err);
-        });
+        // Filter out events the modifiers don't care about
+        if (has('self') && e.target !== el) return;
+        if (has('outside') && (el.contains(e.target) || !el.isConnected || getComputedStyle(el).display === 'none')) return;
+        if (!matchesKeyModifiers(e, modifiers)) return;
+
+        if (has('prevent')) e.preventDefault();
+        if (has('stop')) e.stopPropagation();
+        if (has('once')) removeListener();
+
+        run(e);
+    };
+
+    const removeListener = () => {
+        target.removeEventListener(eventName, handler, options);
+        run.cancel?.();
     };
 
     // Attach the event listener
-    el.addEventListener(eventName, handler);
+    target.addEventListener(eventName, handler, options);
+
+    // Add cleanup to context
+    context.cleanup.push(removeListener);
+};
+
+/**
+ * Modifiers that change how h-on listens, rather than filtering by key.
+ * @type {Array<string>}
+ */
+const eventModifiers = [
+    'prevent', 'stop', 'once', 'passive', 'capture', 'self', 
+    'outside', 'window', 'document', 'debounce', 'throttle',
+];
+
+/**
+ * Aliases for key modifiers that don't match `event.key` directly.
+ * @type {Object}
+ */
+const keyAliases = {
+    space: ' ',
+    esc: 'escape',
+    up: 'arrow-up',
+    down: 'arrow-down',
+    left: 'arrow-left',
+    right: 'arrow-right',
+    slash: '/',
+    period: '.',
+    comma: ',',
+    equal: '=',
+    minus: '-',
+};
+
+/**
+ * System keys and the event properties that tell whether they're held down.
+ * @type {Object}
+ */
+const systemKeys = {
+    ctrl: 'ctrlKey',
+    shift: 'shiftKey',
+    alt: 'altKey',
+    meta: 'metaKey',
+    cmd: 'metaKey',
+    super: 'metaKey',
+};
+
+/**
+ * matchesKeyModifiers
+ * -------------------
+ * Checks an event against the key filters in a modifier list.
+ * System keys (`.ctrl`, `.shift`, `.alt`, `.meta`) must be held down, and any
+ * other key modifier must match `event.key` (compared in kebab-case, so 
+ * `.page-down` matches "PageDown").
+ * 
+ * @param {Event} e - Event to check
+ * @param {Array<string>} modifiers - Directive modifiers
+ * @returns {boolean} Whether the handler should run
+ */
+function matchesKeyModifiers(e, modifiers) {
+    const keys = modifiers.filter(m => !eventModifiers.includes(m) && !/^\d+(ms|s)?$/.test(m));
+    if (!keys.length) return true;
+
+    // Every system key listed has to be held down
+    if (keys.some(key => systemKeys[key] && !e[systemKeys[key]])) return false;
+
+    // Any other listed key has to be the one pressed (only applies to keyboard events)
+    const keyNames = keys.filter(key => !systemKeys[key]);
+    if (!keyNames.length || e.key === undefined) return true;
+
+    const pressed = e.key.replace(/([a-z])([A-Z])/g, '$1-$2').toLowerCase();
+
+    return keyNames.some(key => (keyAliases[key] || key) === pressed);
+};
+
+/**
+ * bindAttribute
+ * -------------
+ * Implements h-bind directive for reactive attribute binding.
+ * Supports special handling for class and style attributes.
+ * 
+ * Examples:
+ * - `<div h-bind:class="active ? 'bg-blue' : 'bg-gray'"></div>`
+ * - `<div h-bind:class="{ 'active': isActive, 'disabled': isDisabled }"></div>`
+ * - `<img h-bind:src="imageUrl" h-bind:alt="description">`
+ * - `<button h-bind:disabled="isLoading">Submit</button>`
+ * - `<div h-bind:style="{ color: textColor, fontSize: size + 'px' }"></div>`
+ * 
+ * @param {HTMLElement} el - Element to bind attribute to
+ * @param {string} attrName - Attribute name (e.g., "class", "src", "disabled")
+ * @param {string} expr - JavaScript expression to evaluate
+ * @param {Object} context - Reactive context
+ */
+function bindAttribute(el, attrName, expr, context) {
+    if (!context || !attrName) return;
+
+    // Special handling for 'class' attribute
+    if (attrName === 'class') {
+        bindClass(el, expr, context);
+        return;
+    }
+
+    // Special handling for 'style' attribute
+    if (attrName === 'style') {
+        bindStyle(el, expr, context);
+        return;
+    }
+
+    // General attribute binding
+    const dispose = createEffect(() => {
+        try {
+            const value = evaluateExpression(expr, context, el, `h-bind:${attrName}`);
+            
+            // Handle boolean attributes (disabled, checked, readonly, etc.)
+            if (typeof value === 'boolean') {
+                if (value) {
+                    el.setAttribute(attrName, '');
+                } else {
+                    el.removeAttribute(attrName);
+                }
+            }
+            // Handle null/undefined - remove attribute
+            else if (value == null) {
+                el.removeAttribute(attrName);
+            }
+            // Normal attribute value
+            else {
+                el.setAttribute(attrName, value);
+            }
+        } catch (e) {
+            reportError(e, expr, el, `h-bind:${attrName}`);
+        }
+    });
+
+    // Track effect disposal
+    context.cleanup.push(dispose);
+};
+
+/**
+ * bindClass
+ * ---------
+ * Special handler for class attribute binding.
+ * Supports object syntax for conditional classes.
+ * 
+ * Example: `h-bind:class="{ 'active': isActive, 'disabled': !isEnabled }"`
+ * 
+ * For simple string classes, just use the class attribute normally.
+ * For ternaries, use the expression directly: `h-bind:class="active ? 'bg-blue' : 'bg-gray'"`
+ * 
+ * @param {HTMLElement} el - Element to bind classes to
+ * @param {string} expr - JavaScript expression
+ * @param {Object} context - Reactive context
+ */
+function bindClass(el, expr, context) {
+    // Store original classes from HTML
+    const originalClasses = el.className.split(' ').filter(c => c);
+    
+    const dispose = createEffect(() => {
+        try {
+            const value = evaluateExpression(expr, context, el, 'h-bind:class');
+            
+            // Start with original classes
+            const classes = new Set(originalClasses);
+            
+            if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+                // Object: { 'active': isActive, 'disabled': isDisabled }
+                for (const [cls, condition] of Object.entries(value)) {
+                    if (condition) {
+                        classes.add(cls);
+                    }
+                }
+            } else if (typeof value === 'string') {
+                // String (from ternary or direct expression): "bg-blue text-white"
+                value.split(' ').filter(c => c).forEach(c => classes.add(c));
+            }
+            
+            // Apply the final class list
+            el.className = Array.from(classes).join(' ');
+        } catch (e) {
+            reportError(e, expr, el, 'h-bind:class');
+        }
+    });
+
+    // Track effect disposal
+    context.cleanup.push(dispose);
+};
+
+/**
+ * bindStyle
+ * ---------
+ * Special handler for style attribute binding.
+ * Supports object syntax: `h-bind:style="{ color: textColor, fontSize: size + 'px' }"`
+ * 
+ * @param {HTMLElement} el - Element to bind styles to
+ * @param {string} expr - JavaScript expression (should evaluate to object)
+ * @param {Object} context - Reactive context
+ */
+function bindStyle(el, expr, context) {
+    // Store original inline styles
+    const originalStyle = el.getAttribute('style') || '';
+    
+    const dispose = createEffect(() => {
+        try {
+            const value = evaluateExpression(expr, context, el, 'h-bind:style');
+            
+            // Restore original styles first
+            el.setAttribute('style', originalStyle);
+            
+            if (typeof value === 'string') {
+                // String: "color: red; font-size: 14px"
+                el.style.cssText = originalStyle + '; ' + value;
+            }
+            else if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+                // Object: { color: 'red', fontSize: '14px' }
+                for (const [prop, val] of Object.entries(value)) {
+                    if (val != null) {
+                        // Convert camelCase to kebab-case (fontSize -> font-size)
+                        const cssProp = prop.replace(/([A-Z])/g, '-$1').toLowerCase();
+                        el.style.setProperty(cssProp, String(val));
+                    }
+                };
+            }
+        } catch (e) {
+            reportError(e, expr, el, 'h-bind:style');
+        }
+    });
+
+    // Track effect disposal
+    context.cleanup.push(dispose);
+};
+
+/**
+ * bindModel
+ * ---------
+ * Implements h-model directive for two-way form binding.
+ * Writes the input's value back to data on user input, and keeps the
+ * input in sync whenever the bound data changes.
+ * 
+ * Supports text inputs, textareas, checkboxes (boolean or array membership),
+ * radios, selects (single and multiple) and number/range inputs.
+ * 
+ * Modifiers:
+ * - `.lazy` - sync on `change` instead of `input`
+ * - `.number` - coerce the value to a number
+ * - `.trim` - trim whitespace from the value
+ * - `.debounce` - wait until input settles (e.g. `.debounce.300ms`, default 250ms)
+ * 
+ * Examples:
+ * - `<input h-model="name">`
+ * - `<input type="checkbox" value="seeds" h-model="snacks">`
+ * - `<input h-model.number.debounce.500ms="age">`
+ * 
+ * @param {HTMLElement} el - Form element to bind
+ * @param {string} expr - Assignable expression (e.g. "name" or "user.email")
+ * @param {Array<string>} modifiers - Directive modifiers (e.g. ["lazy", "number"])
+ * @param {Object} context - Reactive context
+ */
+function bindModel(el, expr, modifiers, context) {
+    if (!context) return;
+
+    const type = (el.type || '').toLowerCase();
+    const isCheckbox = type === 'checkbox';
+    const isRadio = type === 'radio';
+    const isSelect = el.tagName === 'SELECT';
+    const isNumber = modifiers.includes('number') || type === 'number' || type === 'range';
+
+    // Coerce raw DOM strings based on modifiers/input type
+    const coerce = (val) => {
+        if (modifiers.includes('trim')) val = val.trim();
+        if (!isNumber) return val;
+
+        const num = parseFloat(val);
+        return isNaN(num) ? val : num;
+    };
+
+    // Read the value the input currently holds (DOM -> data)
+    const readValue = () => {
+        if (isCheckbox) {
+            const current = evaluateExpression(expr, context, el, 'h-model');
+
+            // Array: add/remove this checkbox's value
+            if (Array.isArray(current)) {
+                const value = coerce(el.value);
+                const rest = current.filter(v => String(v) !== String(value));
+                return el.checked ? [...rest, value] : rest;
+            }
+
+            // Otherwise: plain boolean
+            return el.checked;
+        }
+
+        if (isSelect && el.multiple) {
+            return Array.from(el.selectedOptions).map(option => coerce(option.value));
+        }
+
+        return coerce(el.value);
+    };
+
+    // Checkboxes, radios and selects only settle on change
+    const eventName = isCheckbox || isRadio || isSelect || modifiers.includes('lazy') 
+        ? 'change' 
+        : 'input';
+
+    let handler = () => {
+        // Unchecked radios don't carry a value
+        if (isRadio && !el.checked) return;
+
+        try {
+            batch(() => assignExpression(expr, readValue(), context, el));
+        } catch (e) {
+            reportError(e, expr, el, 'h-model');
+        }
+    };
+
+    if (modifiers.includes('debounce')) {
+        handler = debounce(handler, getModifierDuration(modifiers, 'debounce'));
+    }
+
+    el.addEventListener(eventName, handler);
+
+    // Write the data to the input (data -> DOM)
+    const sync = () => {
+        try {
+            const value = evaluateExpression(expr, context, el, 'h-model');
+
+            if (isCheckbox) {
+                el.checked = Array.isArray(value) 
+                    ? value.some(v => String(v) === el.value) 
+                    : !!value;
+            } else if (isRadio) {
+                el.checked = value != null && String(value) === el.value;
+            } else if (isSelect && el.multiple) {
+                const selected = Array.isArray(value) ? value.map(String) : [];
+                Array.from(el.options).forEach(option => {
+                    option.selected = selected.includes(option.value);
+                });
+            } else {
+                // Skip equivalent values so the caret doesn't jump mid-typing (e.g. "1." vs 1)
+                if (isNumber && coerce(el.value) === value) return;
+
+                const str = value == null ? '' : String(value);
+                if (el.value !== str) {
+                    el.value = str;
+                }
+            }
+        } catch (e) {
+            reportError(e, expr, el, 'h-model');
+        }
+    };
+
+    // Keep the input in sync with data
+    const dispose = createEffect(sync);
+
+    // A select's options may be rendered by its children (e.g. h-for), 
+    // so select the value again once they have been
+    if (isSelect) {
+        afterChildren(el, () => untracked(sync));
+    }
+
+    // Track effect disposal and listener removal
+    context.cleanup.push(() => {
+        dispose();
+        el.removeEventListener(eventName, handler);
+        handler.cancel?.();
+    });
+};
+
+/**
+ * bindInit
+ * --------
+ * Implements h-init directive for initialisation code.
+ * Runs once when the element is first processed.
+ * Supports await for async operations (signal writes made before the first 
+ * await are batched).
+ * 
+ * Example: `<div h-init="data = await (await fetch('/api')).json()">`
+ * 
+ * @param {HTMLElement} el - Element with h-init attribute
+ * @param {string} stmt - JavaScript statement to execute
+ * @param {Object} context - Reactive context
+ */
+function bindInit(el, stmt, context) {
+    if (!context) return;
+
+    batch(() => executeStatement(stmt, context, el, 'h-init'));
+};
+
+/**
+ * bindEffect
+ * ----------
+ * Implements h-effect directive for reactive side effects.
+ * Runs the statements, and re-runs them whenever data they read changes.
+ * Supports await, but only reads before the first await are tracked.
+ * 
+ * Example: `<div h-effect="document.title = `${count} seeds`">`
+ * 
+ * @param {HTMLElement} el - Element with h-effect attribute
+ * @param {string} stmt - JavaScript statements to execute
+ * @param {Object} context - Reactive context
+ */
+function bindEffect(el, stmt, context) {
+    if (!context) return;
+
+    // The synchronous part of the statements runs inside the effect (so it's tracked)
+    const dispose = createEffect(() => {
+        executeStatement(stmt, context, el, 'h-effect');
+    });
+
+    // Track effect disposal
+    context.cleanup.push(dispose);
+};
+
+/**
+ * getComponent
+ * ------------
+ * Finds the context of the component (nearest h-data, or h-use instance) an 
+ * element belongs to, for `$refs`, `$root` and `$id`. Slot content belongs 
+ * to the component around the h-use element, like its scope.
+ * 
+ * @param {HTMLElement} el - Element
+ * @returns {Object|null} Component context, or null
+ */
+function getComponent(el) {
+    for (let node = el; node; node = node.parentElement) {
+        const context = contexts.get(node);
+        if (context?.refs) return context;
+
+        // Carry on from the h-use element (past the component the slot is in)
+        if (context?.slotOf) node = context.slotOf;
+    }
+
+    return null;
+};
+
+/**
+ * registerRef
+ * -----------
+ * Implements h-ref directive, making the element available as `$refs.name` in 
+ * its component. Refs inside h-for rows (of the same component) are collected 
+ * as arrays, in the order they were rendered.
+ * 
+ * Example: `<input h-ref="search">` and `<button h-on:click="$refs.search.focus()">`
+ * 
+ * @param {HTMLElement} el - Element with h-ref attribute
+ * @param {string} name - Ref name
+ */
+function registerRef(el, name) {
+    const owner = getComponent(el);
+    if (!owner) return;
+
+    // Inside an h-for row (between the element and its component)?
+    let inLoop = false;
+    for (let node = el; node && node !== owner.el; node = node.parentElement) {
+        if (contexts.get(node)?.loop) inLoop = true;
+    }
+
+    if (inLoop) {
+        if (!Array.isArray(owner.refs[name])) owner.refs[name] = [];
+        owner.refs[name].push(el);
+    } else {
+        owner.refs[name] = el;
+    }
+
+    refOwners.set(el, owner.refs);
+};
+
+/**
+ * unregisterRef
+ * -------------
+ * Removes an element from the $refs it was registered in.
+ * 
+ * @param {HTMLElement} el - Element with h-ref attribute
+ * @param {string} name - Ref name
+ */
+function unregisterRef(el, name) {
+    const refs = refOwners.get(el);
+    refOwners.delete(el);
+
+    if (Array.isArray(refs[name])) {
+        const index = refs[name].indexOf(el);
+        if (index !== -1) refs[name].splice(index, 1);
+    } else if (refs[name] === el) {
+        delete refs[name];
+    }
+};
+
+/**
+ * evaluateExpression
+ * --------
+ * Evaluates a JavaScript expression in the context of reactive data.
+ * Expression has access to all data properties directly (e.g. "count" instead of "$data.count"),
+ * as well as the magics (`$el`, `$store`, etc.).
+ * 
+ * Example: `evaluateExpression("count + 1", context, el, "h-text")` where count is in context.data
+ * 
+ * @param {string} expr - JavaScript expression
+ * @param {Object} context - Reactive context
+ * @param {HTMLElement} el - Element the expression belongs to (for error reporting)
+ * @param {string} attribute - Attribute the expression belongs to (for error reporting)
+ * @returns {*} Result of expression evaluation
+ */
+function evaluateExpression(expr, context, el, attribute) {
+    try {
+        return evaluate(expr, context.data, getMagics(context, el));
+    } catch (e) {
+        reportError(e, expr, el, attribute);
+        return null;
+    }
+};
+
+/**
+ * executeStatement
+ * ----------------
+ * Executes a JavaScript statement in the context of reactive data.
+ * Supports both sync and async code (await). Errors (incl. async ones) are reported,
+ * rather than rejecting the returned promise.
+ * 
+ * @param {string} code - JavaScript statement
+ * @param {Object} context - Reactive context
+ * @param {HTMLElement} el - Element the statement belongs to (for error reporting)
+ * @param {string} attribute - Attribute the statement belongs to (for error reporting)
+ * @param {Event} [event] - Optional event object (for h-on)
+ * @returns {Promise} Promise that resolves when execution completes
+ */
+function executeStatement(code, context, el, attribute, event = null) {
+    try {
+        return trackPending(execute(code, context.data, getMagics(context, el, event))
+            .catch(err => reportError(err, code, el, attribute)));
+    } catch (err) {
+        reportError(err, code, el, attribute);
+        return Promise.resolve();
+    }
+};
+
+/**
+ * trackPending
+ * ------------
+ * Keeps track of a running statement until it settles (see `settled`).
+ * 
+ * @param {Promise} promise - Promise of the statement (that never rejects)
+ * @returns {Promise} The same promise
+ */
+function trackPending(promise) {
+    pending.add(promise);
+    promise.then(() => pending.delete(promise));
 
-    // Add cleanup to context
-    context.cleanup.push(() => {
-        el.removeEventListener(eventName, handler);
-    });
+    return promise;
 };
 
 /**
- * bindAttribute
- * -------------
- * Implements h-bind directive for reactive attribute binding.
- * Supports special handling for class and style attributes.
+ * assignExpression
+ * ----------------
+ * Assigns a value to an assignable expression in the context of reactive data.
+ * Used by two-way bindings (h-model) to write back into data.
  * 
- * Examples:
- * - `<div h-bind:class="active ? 'bg-blue' : 'bg-gray'"></div>`
- * - `<div h-bind:class="{ 'active': isActive, 'disabled': isDisabled }"></div>`
- * - `<img h-bind:src="imageUrl" h-bind:alt="description">`
- * - `<button h-bind:disabled="isLoading">Submit</button>`
- * - `<div h-bind:style="{ color: textColor, fontSize: size + 'px' }"></div>`
+ * Example: `assignExpression("user.name", "Whiskers", context, el)`
  * 
- * @param {HTMLElement} el - Element to bind attribute to
- * @param {string} attrName - Attribute name (e.g., "class", "src", "disabled")
- * @param {string} expr - JavaScript expression to evaluate
+ * @param {string} expr - Assignable JavaScript expression
+ * @param {*} value - Value to assign
  * @param {Object} context - Reactive context
+ * @param {HTMLElement} el - Element the expression belongs to
  */
-function bindAttribute(el, attrName, expr, context) {
-    if (!context || !attrName) return;
+function assignExpression(expr, value, context, el) {
+    assign(expr, context.data, getMagics(context, el), value);
+};
 
-    // Special handling for 'class' attribute
-    if (attrName === 'class') {
-        bindClass(el, expr, context);
+/**
+ * reportError
+ * -----------
+ * Logs an error thrown by an expression or statement, along with the element 
+ * and attribute it came from, and passes it to `onError` handlers (via the 
+ * `error` hook). Compile errors (e.g. typos) are the same every time, so 
+ * they're only reported once.
+ * 
+ * @param {*} err - Thrown error
+ * @param {string} expr - Expression or statement that threw
+ * @param {HTMLElement} el - Element the expression belongs to
+ * @param {string} attribute - Attribute the expression belongs to (e.g. "h-text")
+ */
+function reportError(err, expr, el, attribute) {
+    const directive = attribute.split(/[:.]/)[0];
+    const context = el ? getContext(el) : null;
+
+    emit('error', el || document, { error: err, el, expression: expr, attribute, directive, context });
+
+    if (isCompileError(err)) {
+        if (reportedErrors.has(err)) return;
+        reportedErrors.add(err);
+
+        console.error(`🐹 [${attribute}] Invalid expression "${expr}": `, el, err);
         return;
     }
 
-    // Special handling for 'style' attribute
-    if (attrName === 'style') {
-        bindStyle(el, expr, context);
-        return;
+    console.error(`🐹 [${attribute}] Error in "${expr}": `, el, err);
+
+    // Typos in names don't fail to compile, they fail (every time) when they run
+    if (typeof __DEV__ !== 'undefined' && __DEV__ && err instanceof ReferenceError) {
+        warn(`${err.message} in ${attribute}="${expr}" - is it missing from h-data (or misspelt)?`, el);
     }
+};
 
-    // General attribute binding
-    const dispose = createEffect(() => {
-        try {
-            const value = evaluateExpression(expr, context);
-            
-            // Handle boolean attributes (disabled, checked, readonly, etc.)
-            if (typeof value === 'boolean') {
-                if (value) {
-                    el.setAttribute(attrName, '');
-                } else {
-                    el.removeAttribute(attrName);
-                }
-            }
-            // Handle null/undefined - remove attribute
-            else if (value == null) {
-                el.removeAttribute(attrName);
-            }
-            // Normal attribute value
-            else {
-                el.setAttribute(attrName, value);
-            }
-        } catch (e) {
-            console.error(`🐹 [h-bind:${attrName}] Error: `, e);
-        }
+// Effects failing on a re-run outside any directive's own error handling (e.g. 
+// ones plugins create with createEffect) are reported too, without an element
+setErrorHandler(error => {
+    console.error('🐹 [flush] Effect error: ', error);
+
+    if (typeof document !== 'undefined') {
+        emit('error', document, { error, el: null, expression: null, attribute: null, directive: null, context: null });
+    }
+});
+
+/**
+ * getMagics
+ * ---------
+ * Builds the magic properties available in expressions (see `magic`).
+ * Each magic is only worked out when an expression uses it.
+ * 
+ * @param {Object} context - Reactive context
+ * @param {HTMLElement} el - Element the expression belongs to
+ * @param {Event} [event] - Optional event object (for h-on)
+ * @returns {Object} Magics (e.g. `$event`, `$el`, `$data`, `$store`)
+ */
+function getMagics(context, el, event = null) {
+    const options = { context, data: context.data, event };
+
+    return new Proxy({}, {
+        has: (target, name) => magics.has(name),
+        get: (target, name) => magics.has(name) ? magics.get(name)(el, options) : undefined,
     });
+};
 
-    // Track effect disposal
-    context.cleanup.push(dispose);
+/**
+ * getModifierDuration
+ * -------------------
+ * Reads a duration that follows a modifier (e.g. ".debounce.300ms" -> 300).
+ * Supports "ms" and "s" suffixes, or a bare number of milliseconds.
+ * 
+ * @param {Array<string>} modifiers - Directive modifiers
+ * @param {string} name - Modifier the duration belongs to (e.g. "debounce")
+ * @param {number} [fallback] - Duration to use if none is given (default: 250)
+ * @returns {number} Duration in milliseconds
+ */
+function getModifierDuration(modifiers, name, fallback = 250) {
+    const next = modifiers[modifiers.indexOf(name) + 1] || '';
+    const match = next.match(/^(\d+)(ms|s)?$/);
+    if (!match) return fallback;
+
+    return match[2] === 's' ? Number(match[1]) * 1000 : Number(match[1]);
 };
 
 /**
- * bindClass
- * ---------
- * Special handler for class attribute binding.
- * Supports object syntax for conditional classes.
+ * debounce
+ * --------
+ * Delays calling `fn` until `wait` ms have passed without another call.
+ * The returned function has a `cancel` method to drop a pending call.
  * 
- * Example: `h-bind:class="{ 'active': isActive, 'disabled': !isEnabled }"`
+ * @param {Function} fn - Function to debounce
+ * @param {number} wait - Delay in milliseconds
+ * @returns {Function} Debounced function
+ */
+function debounce(fn, wait) {
+    let timer = null;
+
+    const debounced = (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn(...args), wait);
+    };
+
+    debounced.cancel = () => clearTimeout(timer);
+
+    return debounced;
+};
+
+/**
+ * throttle
+ * --------
+ * Calls `fn` at most once every `wait` ms, dropping calls in between.
+ * The returned function has a `cancel` method to reset the wait.
  * 
- * For simple string classes, just use the class attribute normally.
- * For ternaries, use the expression directly: `h-bind:class="active ? 'bg-blue' : 'bg-gray'"`
+ * @param {Function} fn - Function to throttle
+ * @param {number} wait - Minimum time between calls in milliseconds
+ * @returns {Function} Throttled function
+ */
+function throttle(fn, wait) {
+    let timer = null;
+
+    const throttled = (...args) => {
+        if (timer) return;
+
+        fn(...args);
+        timer = setTimeout(() => timer = null, wait);
+    };
+
+    throttled.cancel = () => {
+        clearTimeout(timer);
+        timer = null;
+    };
+
+    return throttled;
+};
+
+/**
+ * getParentScope
+ * --------------
+ * Finds the data of the parent h-data component of a context, for the
+ * `$parent` magic.
  * 
- * @param {HTMLElement} el - Element to bind classes to
- * @param {string} expr - JavaScript expression
  * @param {Object} context - Reactive context
+ * @returns {Object|null} Parent data (null if there's none)
  */
-function bindClass(el, expr, context) {
-    // Store original classes from HTML
-    const originalClasses = el.className.split(' ').filter(c => c);
-    
-    const dispose = createEffect(() => {
-        try {
-            const value = evaluateExpression(expr, context);
-            
-            // Start with original classes
-            const classes = new Set(originalClasses);
-            
-            if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-                // Object: { 'active': isActive, 'disabled': isDisabled }
-                for (const [cls, condition] of Object.entries(value)) {
-                    if (condition) {
-                        classes.add(cls);
-                    }
-                }
-            } else if (typeof value === 'string') {
-                // String (from ternary or direct expression): "bg-blue text-white"
-                value.split(' ').filter(c => c).forEach(c => classes.add(c));
-            }
-            
-            // Apply the final class list
-            el.className = Array.from(classes).join(' ');
-        } catch (e) {
-            console.error('🐹 [h-bind:class] Error: ', e);
-        }
-    });
+function getParentScope(context) {
+    const scopes = [];
 
-    // Track effect disposal
-    context.cleanup.push(dispose);
+    // Walk up the enclosing h-data components (nearest first)
+    let component = context.el.closest('[h-data]');
+    while (component && scopes.length < 2) {
+        const componentContext = contexts.get(component);
+        if (componentContext) scopes.push(componentContext.data);
+
+        component = component.parentElement?.closest('[h-data]');
+    }
+
+    return scopes[1] || null;
 };
 
 /**
- * bindStyle
- * ---------
- * Special handler for style attribute binding.
- * Supports object syntax: `h-bind:style="{ color: textColor, fontSize: size + 'px' }"`
+ * dispatch
+ * --------
+ * Dispatches a bubbling custom event from an element, for the `$dispatch`
+ * magic. Parent components can listen with h-on (e.g. `h-on:notify="..."`).
  * 
- * @param {HTMLElement} el - Element to bind styles to
- * @param {string} expr - JavaScript expression (should evaluate to object)
+ * Example: `<button h-on:click="$dispatch('notify', { message: 'Saved!' })">`
+ * 
+ * @param {HTMLElement} el - Element to dispatch from
+ * @param {string} name - Event name
+ * @param {*} [detail] - Event detail (`$event.detail` in listeners)
+ * @returns {boolean} False if a listener called `preventDefault()`
+ */
+function dispatch(el, name, detail) {
+    return el.dispatchEvent(new CustomEvent(name, { detail, bubbles: true, composed: true, cancelable: true }));
+};
+
+/**
+ * watch
+ * -----
+ * Calls `callback(value, oldValue)` whenever an expression's value changes
+ * (not initially), for the `$watch` magic. Built on an effect, so it tracks
+ * whatever the expression reads, and it's disposed with the element's context.
+ * 
+ * Objects and arrays are watched deeply: `todos.push(todo)` or `user.name = 'b'`
+ * calls the callback too (with the same object as both values).
+ * 
+ * Example: `h-init="$watch('user.name', (name, oldName) => console.log(oldName, '->', name))"`
+ * 
+ * @param {string} expr - Expression to watch (e.g. "count" or "user.name")
+ * @param {Function} callback - Called with the new and old value
  * @param {Object} context - Reactive context
+ * @param {HTMLElement} el - Element the watcher belongs to
+ * @returns {Function} Function that stops watching
  */
-function bindStyle(el, expr, context) {
-    // Store original inline styles
-    const originalStyle = el.getAttribute('style') || '';
-    
+function watch(expr, callback, context, el) {
+    let initialised = false;
+    let oldValue;
+
     const dispose = createEffect(() => {
-        try {
-            const value = evaluateExpression(expr, context);
-            
-            // Restore original styles first
-            el.setAttribute('style', originalStyle);
-            
-            if (typeof value === 'string') {
-                // String: "color: red; font-size: 14px"
-                el.style.cssText = originalStyle + '; ' + value;
-            }
-            else if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-                // Object: { color: 'red', fontSize: '14px' }
-                for (const [prop, val] of Object.entries(value)) {
-                    if (val != null) {
-                        // Convert camelCase to kebab-case (fontSize -> font-size)
-                        const cssProp = prop.replace(/([A-Z])/g, '-$1').toLowerCase();
-                        el.style.setProperty(cssProp, String(val));
-                    }
-                };
-            }
-        } catch (e) {
-            console.error('🐹 [h-bind:style] Error: ', e);
+        const value = evaluateExpression(expr, context, el, '$watch');
+        readDeep(value, new Set());
+
+        // Re-running with the same object means something inside it changed
+        const isObject = value !== null && typeof value === 'object';
+
+        if (!initialised || (Object.is(value, oldValue) && !isObject)) {
+            initialised = true;
+            oldValue = value;
+            return;
         }
+
+        const previous = oldValue;
+        oldValue = value;
+
+        // Only the expression is tracked, not what the callback reads
+        untracked(() => {
+            try {
+                callback(value, previous);
+            } catch (err) {
+                reportError(err, expr, el, '$watch');
+            }
+        });
     });
 
-    // Track effect disposal
     context.cleanup.push(dispose);
+
+    return dispose;
 };
 
 /**
- * bindInit
+ * readDeep
  * --------
- * Implements h-init directive for initialisation code.
- * Runs once when the element is first processed.
- * Supports await for async operations.
+ * Reads every property of a plain object or array (at any depth), so the 
+ * effect it runs in tracks them all. Other objects (DOM nodes, dates, etc.) 
+ * aren't looked inside.
  * 
- * Example: `<div h-init="data = await (await fetch('/api')).json()">`
- * 
- * @param {string} stmt - JavaScript statement to execute
- * @param {Object} context - Reactive context
+ * @param {*} value - Value to read
+ * @param {Set} seen - Objects already read (to stop at circular references)
  */
-function bindInit(stmt, context) {
-    if (!context) return;
+function readDeep(value, seen) {
+    if (value === null || typeof value !== 'object' || seen.has(value)) return;
 
-    executeStatement(stmt, context).catch(err => {
-        console.error('🐹 [h-init] Error: ', err);
-    });
+    const proto = Object.getPrototypeOf(value);
+    if (!Array.isArray(value) && proto !== Object.prototype && proto !== null) return;
+
+    seen.add(value);
+    Object.keys(value).forEach(key => readDeep(value[key], seen));
 };
 
 /**
- * evaluateExpression
- * --------
- * Evaluates a JavaScript expression in the context of reactive data.
- * Expression has access to all data properties directly (via 'with' statement).
+ * getId
+ * -----
+ * Generates an id for the `$id` magic that's unique on the page, but the
+ * same for every use of a prefix within a component - so labels, inputs and
+ * aria attributes can refer to each other. An optional key (e.g. the h-for
+ * index) is appended, for ids inside loops.
  * 
- * Example: `evaluateExpression("count + 1", context)` where count is in context.data
+ * Example: `<label h-bind:for="$id('email')">` and `<input h-bind:id="$id('email')">` both get "email-1"
  * 
- * @param {string} expr - JavaScript expression
- * @param {Object} context - Reactive context
- * @returns {*} Result of expression evaluation
+ * @param {HTMLElement} el - Element the expression belongs to
+ * @param {string} prefix - Id prefix
+ * @param {*} [key] - Optional key to append
+ * @returns {string} Id (e.g. "email-1" or "email-1-3")
  */
-function evaluateExpression(expr, context) {
-    try {
-        // Create a function that evaluates the expression
-        // The 'with' statement allows: "count" instead of "$data.count"
-        const fn = new Function('$data', '$el', `
-            with($data) {
-                return ${expr};
-            }
-        `);
-        
-        // Execute and return result
-        return fn(context.data, context.el);
-    } catch (e) {
-        console.error('🐹 [evaluateExpression] Error: ', expr, e);
-        return null;
+function getId(el, prefix, key) {
+    const component = getComponent(el);
+    const ids = component ? component.ids : {};
+
+    if (!(prefix in ids)) {
+        const count = (idCounters.get(prefix) || 0) + 1;
+        idCounters.set(prefix, count);
+        ids[prefix] = `${prefix}-${count}`;
     }
+
+    return key === undefined ? ids[prefix] : `${ids[prefix]}-${key}`;
 };
 
 /**
- * executeStatement
- * ----------------
- * Executes a JavaScript statement in the context of reactive data.
- * Supports both sync and async code (await).
+ * settled
+ * -------
+ * Returns a promise that resolves once every statement still running has 
+ * finished - async h-on handlers, h-init, `init()` methods, etc. (incl. 
+ * ones they start meanwhile). Handy in tests, and before taking screenshots.
  * 
- * @param {string} code - JavaScript statement
- * @param {Object} context - Reactive context
- * @param {Event} [event] - Optional event object (for h-on)
- * @returns {Promise} Promise that resolves when execution completes
+ * Example:
+ * ```js
+ *   button.click(); // h-on:click="items = await fetchItems()"
+ *   await hamsterio.settled();
+ *   console.log(list.children.length);
+ * 
+ * ```
+ * @returns {Promise} Promise resolving when nothing is running
  */
-function executeStatement(code, context, event = null) {
-    try {
-        // Create an async function to support await
-        // Include $event for h-on compatibility
-        const fn = new Function('$event', '$el', '$data', `
-            return (async () => {
-                with($data) {
-                    ${code}
-                }
-            })();
-        `);
-        
-        // Execute and return promise for error handling
-        return fn.call(context.data, event, context.el, context.data);
-    } catch (err) {
-        console.error('🐹 [executeStatement] Error: ', err);
-        return Promise.reject(err);
-    }
+export function settled() {
+    if (!pending.size) return Promise.resolve();
+
+    return Promise.all(Array.from(pending)).then(settled);
 };
 
 /**
@@ -757,11 +2434,12 @@ export function getData(el) {
 /**
  * cleanup
  * --------------
- * Cleans up all reactive effects and event listeners for an element.
- * Removes the element's context and all tracked cleanup functions.
+ * Cleans up all reactive effects and event listeners for an element and 
+ * its children. Removes their contexts and all tracked cleanup functions.
  * 
- * Call this before removing dynamically created elements to prevent memory leaks.
- * h-for automatically calls this for its rendered items.
+ * Call this before removing dynamically created elements to prevent memory leaks
+ * (or let `observe` do it for you). h-for and h-if automatically call this for 
+ * the items they remove.
  * 
  * Example:
  * ```js
@@ -778,17 +2456,71 @@ export function cleanup(el) {
         return;
     }
 
-    const context = contexts.get(el);
-    if (!context) return;
-    
-    // Run all cleanup functions
-    context.cleanup.forEach(fn => fn());
-    
-    // Remove context (and cleanup array) from WeakMap
-    contexts.delete(el);
+    // The element itself, then any nested children (parents first)
+    [el, ...el.querySelectorAll('*')].forEach(node => {
+        // Forget it was initialised, so `init` can process it again
+        initialised.delete(node);
+        if (typeof __DEV__ !== 'undefined' && __DEV__) clearBindings(node);
+
+        // Remove it from $refs
+        if (refOwners.has(node)) {
+            unregisterRef(node, node.getAttribute('h-ref'));
+        }
+
+        const context = contexts.get(node);
+        if (!context) return;
+
+        // Run all cleanup functions
+        context.cleanup.forEach(fn => fn());
+
+        // Remove context (and cleanup array) from WeakMap
+        contexts.delete(node);
+
+        emit('cleanup', node, { el: node, context });
+    });
+};
+
+/**
+ * observe
+ * -------
+ * Watches the DOM for added and removed elements, so content inserted by 
+ * other code (e.g. htmx swaps or fetched partials) doesn't need manual 
+ * `init`/`cleanup` calls:
+ * - Added subtrees are initialised (elements hamsterio rendered itself, like 
+ *   h-for rows, are already initialised and skipped)
+ * - Removed subtrees are cleaned up (unless they were just moved)
+ * 
+ * Started by auto-init when `window.hamsterioObserve = true`, or manually:
+ * ```js
+ *   const stop = hamsterio.observe(document.body);
+ *   stop(); // Stop watching
+ * 
+ * ```
+ * @param {HTMLElement} el - Element to watch (default: `document.body`)
+ * @returns {Function} Function that stops watching
+ */
+export function observe(el = document.body) {
+    if (el == null) {
+        console.warn('🐹 [observe] Called on a null/undefined element.');
+        return () => {};
+    }
+
+    const observer = new MutationObserver(mutations => {
+        mutations.forEach(mutation => {
+            // Removed nodes that are still connected were moved, not removed
+            mutation.removedNodes.forEach(node => {
+                if (node.nodeType === 1 && !node.isConnected) cleanup(node);
+            });
 
-    // Also cleanup any nested h-data children
-    el.querySelectorAll('[h-data]').forEach(child => {
-        cleanup(child);
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType === 1 && node.isConnected && !initialised.has(node)) {
+                    processElement(node);
+                }
+            });
+        });
     });
+
+    observer.observe(el, { childList: true, subtree: true });
+
+    return () => observer.disconnect();
 };
\ No newline at end of file
@@ -0,0 +1,804 @@
+import { parse } from "./parser.js";
+
+/**
+ * CSP-safe expression evaluator
+ * -----------------------------
+ * Drop-in replacement for `evaluator.js` used by the CSP build. Parses
+ * expressions into ASTs (see `parser.js`) and interprets them, so pages with a
+ * Content-Security-Policy that forbids `unsafe-eval` still work.
+ *
+ * Name lookup mirrors the `with` statements of the default evaluator: local
+ * variables first, then data, then magics, then globals.
+ *
+ * The interpreter is written as generators: `await` yields the awaited value,
+ * and a driver either resumes once it settles (async code) or rejects it
+ * (sync code). This keeps a single implementation for both.
+ *
+ * @module evaluator
+ */
+
+/**
+ * Parsed ASTs, keyed by mode and source (each string is only parsed once)
+ * @type {Map<string, Object>}
+ */
+const asts = new Map();
+
+/**
+ * Errors thrown while parsing (rather than while running)
+ * @type {WeakSet<Error>}
+ */
+const compileErrors = new WeakSet();
+
+/**
+ * Thrown by optional chains (`a?.b`) to short-circuit the whole chain
+ * @type {Object}
+ */
+const shortCircuit = {};
+
+/**
+ * evaluate
+ * --------
+ * Evaluates a JavaScript expression against data and magics.
+ *
+ * Example: `evaluate("count + 1", { count: 1 }, {})` returns 2
+ *
+ * @param {string} expr - JavaScript expression
+ * @param {Object} data - Data the expression can read (also `this`)
+ * @param {Object} magics - Magic properties (e.g. `{ $el, $store }`)
+ * @returns {*} Result of the expression
+ */
+export function evaluate(expr, data, magics) {
+    const ast = getAST(expr, 'expression');
+    return runSync(evaluateNode(ast, createRootScope(data, magics)));
+};
+
+/**
+ * execute
+ * -------
+ * Executes JavaScript statements against data and magics.
+ * Runs asynchronously, so statements can use `await`.
+ *
+ * @param {string} code - JavaScript statements
+ * @param {Object} data - Data the statements can read and write (also `this`)
+ * @param {Object} magics - Magic properties (e.g. `{ $event, $el }`)
+ * @returns {Promise} Promise that resolves when execution completes
+ */
+export function execute(code, data, magics) {
+    const ast = getAST(code, 'statements');
+    // Resolves with what the statements return (like the regular build's async function)
+    return runAsync(executeStatements(ast.body, createRootScope(data, magics)))
+        .then(completion => completion?.value);
+};
+
+/**
+ * assign
+ * ------
+ * Assigns a value to an assignable expression (e.g. "user.name").
+ *
+ * @param {string} expr - Assignable JavaScript expression
+ * @param {Object} data - Data to assign into
+ * @param {Object} magics - Magic properties
+ * @param {*} value - Value to assign
+ */
+export function assign(expr, data, magics, value) {
+    const ast = getAST(expr, 'assignment');
+    runSync(assignNode(ast, value, createRootScope(data, magics)));
+};
+
+/**
+ * isCompileError
+ * --------------
+ * Checks whether an error was thrown while parsing an expression (e.g. a
+ * syntax error), rather than while running it. Parse errors are cached, so 
+ * the same error object is thrown every time the expression is used.
+ *
+ * @param {*} err - Thrown error
+ * @returns {boolean} Whether it's a compile error
+ */
+export function isCompileError(err) {
+    return compileErrors.has(err);
+};
+
+/**
+ * getAST
+ * ------
+ * Parses source code, reusing the AST if it's been parsed before.
+ * Failures are cached too, so broken expressions aren't parsed again.
+ *
+ * @param {string} source - Source code
+ * @param {string} mode - 'expression', 'statements' or 'assignment'
+ * @returns {Object} AST
+ */
+function getAST(source, mode) {
+    const key = mode + ':' + source;
+
+    if (!asts.has(key)) {
+        try {
+            asts.set(key, parse(source, mode));
+        } catch (err) {
+            compileErrors.add(err);
+            asts.set(key, err);
+        }
+    }
+
+    const ast = asts.get(key);
+    if (compileErrors.has(ast)) throw ast;
+
+    return ast;
+};
+
+/**
+ * runSync
+ * -------
+ * Runs an interpreter generator to completion synchronously.
+ *
+ * @param {Generator} generator - Interpreter generator
+ * @returns {*} Result
+ */
+function runSync(generator) {
+    const result = generator.next();
+
+    if (!result.done) {
+        generator.return();
+        throw new SyntaxError('await is only valid in async functions');
+    }
+
+    return result.value;
+};
+
+/**
+ * runAsync
+ * --------
+ * Runs an interpreter generator, resuming it whenever an awaited value
+ * settles. Runs synchronously up to the first `await` (like async functions).
+ *
+ * @param {Generator} generator - Interpreter generator
+ * @returns {Promise} Promise for the result
+ */
+function runAsync(generator) {
+    return new Promise((resolve, reject) => {
+        const step = (method, arg) => {
+            let result;
+
+            try {
+                result = generator[method](arg);
+            } catch (err) {
+                reject(err);
+                return;
+            }
+
+            if (result.done) {
+                resolve(result.value);
+                return;
+            }
+
+            Promise.resolve(result.value).then(
+                value => step('next', value),
+                err => step('throw', err),
+            );
+        };
+
+        step('next');
+    });
+};
+
+/**
+ * createRootScope
+ * ---------------
+ * Creates the outermost scope of an evaluation.
+ *
+ * @param {Object} data - Data (also `this`)
+ * @param {Object} magics - Magic properties
+ * @returns {Object} Scope
+ */
+function createRootScope(data, magics) {
+    return {
+        vars: new Map(),
+        parent: null,
+        root: { data, magics },
+        hasThis: true,
+        thisValue: data,
+    };
+};
+
+/**
+ * createScope
+ * -----------
+ * Creates a nested (block or function) scope.
+ *
+ * @param {Object} parent - Enclosing scope
+ * @param {Object} [options] - `hasThis` and `thisValue` (for non-arrow functions)
+ * @returns {Object} Scope
+ */
+function createScope(parent, options = {}) {
+    return {
+        vars: new Map(),
+        parent,
+        root: parent.root,
+        hasThis: false,
+        thisValue: undefined,
+        ...options,
+    };
+};
+
+/**
+ * declare
+ * -------
+ * Declares a variable (a `const`/`let`, or a function parameter).
+ *
+ * @param {Object} scope - Current scope
+ * @param {string} name - Variable name
+ * @param {*} value - Initial value
+ * @param {string} kind - 'let' or 'const'
+ */
+function declare(scope, name, value, kind) {
+    scope.vars.set(name, { value, constant: kind === 'const' });
+};
+
+/**
+ * findBinding
+ * -----------
+ * Finds a local variable, walking up the scopes.
+ *
+ * @param {string} name - Variable name
+ * @param {Object} scope - Current scope
+ * @returns {Object|null} Binding (`{ value, constant }`) or null
+ */
+function findBinding(name, scope) {
+    for (let current = scope; current; current = current.parent) {
+        if (current.vars.has(name)) return current.vars.get(name);
+    }
+
+    return null;
+};
+
+/**
+ * lookup
+ * ------
+ * Resolves a name (locals, then data, then magics, then globals).
+ * Also returns the object it was found on, which is `this` when calling it.
+ *
+ * @param {string} name - Name to resolve
+ * @param {Object} scope - Current scope
+ * @returns {Array} Tuple of [value, base object]
+ */
+function lookup(name, scope) {
+    const binding = findBinding(name, scope);
+    if (binding) return [binding.value, undefined];
+
+    const { data, magics } = scope.root;
+    if (data != null && name in data) return [data[name], data];
+    if (magics != null && name in magics) return [magics[name], magics];
+    if (name in globalThis) return [globalThis[name], undefined];
+
+    throw new ReferenceError(`${name} is not defined`);
+};
+
+/**
+ * isDefined
+ * ---------
+ * Checks whether a name resolves (for `typeof undeclared`).
+ *
+ * @param {string} name - Name to check
+ * @param {Object} scope - Current scope
+ * @returns {boolean} Whether the name is defined
+ */
+function isDefined(name, scope) {
+    const { data, magics } = scope.root;
+
+    return findBinding(name, scope) != null
+        || (data != null && name in data)
+        || (magics != null && name in magics)
+        || name in globalThis;
+};
+
+/**
+ * assignVariable
+ * --------------
+ * Assigns to a name, wherever it resolves. Unknown names become globals
+ * (like sloppy-mode `with` code does).
+ *
+ * @param {string} name - Name to assign
+ * @param {*} value - Value to assign
+ * @param {Object} scope - Current scope
+ */
+function assignVariable(name, value, scope) {
+    const binding = findBinding(name, scope);
+
+    if (binding) {
+        if (binding.constant) throw new TypeError('Assignment to constant variable.');
+        binding.value = value;
+        return;
+    }
+
+    const { data, magics } = scope.root;
+
+    if (data != null && name in data) {
+        Reflect.set(data, name, value);
+    } else if (magics != null && name in magics) {
+        Reflect.set(magics, name, value);
+    } else {
+        globalThis[name] = value;
+    }
+};
+
+/**
+ * getThis
+ * -------
+ * Resolves `this` (arrow functions use their enclosing scope's).
+ *
+ * @param {Object} scope - Current scope
+ * @returns {*} Value of `this`
+ */
+function getThis(scope) {
+    while (!scope.hasThis) {
+        scope = scope.parent;
+    }
+
+    return scope.thisValue;
+};
+
+/**
+ * evaluateNode
+ * ------------
+ * Evaluates an expression node.
+ *
+ * @param {Object} node - Expression node
+ * @param {Object} scope - Current scope
+ * @returns {Generator} Interpreter generator for the value
+ */
+function* evaluateNode(node, scope) {
+    switch (node.type) {
+    case 'Literal':
+        return node.value;
+    case 'Template': {
+        let result = node.quasis[0];
+
+        for (let i = 0; i < node.expressions.length; i++) {
+            result += String(yield* evaluateNode(node.expressions[i], scope)) + node.quasis[i + 1];
+        }
+
+        return result;
+    }
+    case 'Identifier':
+        return lookup(node.name, scope)[0];
+    case 'This':
+        return getThis(scope);
+    case 'Array': {
+        const array = [];
+
+        for (const element of node.elements) {
+            if (element.type === 'Spread') {
+                array.push(...(yield* evaluateNode(element.argument, scope)));
+            } else {
+                array.push(yield* evaluateNode(element, scope));
+            }
+        }
+
+        return array;
+    }
+    case 'Object':
+        return yield* evaluateObject(node, scope);
+    case 'Function':
+        return createFunction(node, scope);
+    case 'Member': {
+        const object = yield* evaluateNode(node.object, scope);
+        const key = yield* getKey(node, object, scope);
+
+        return object[key];
+    }
+    case 'Chain':
+        try {
+            return yield* evaluateNode(node.expression, scope);
+        } catch (err) {
+            if (err === shortCircuit) return undefined;
+            throw err;
+        }
+    case 'Call':
+        return yield* evaluateCall(node, scope);
+    case 'New': {
+        const Constructor = yield* evaluateNode(node.callee, scope);
+        if (typeof Constructor !== 'function') {
+            throw new TypeError(`${describe(node.callee)} is not a constructor`);
+        }
+
+        return Reflect.construct(Constructor, yield* evaluateArguments(node.args, scope));
+    }
+    case 'Unary':
+        return yield* evaluateUnary(node, scope);
+    case 'Await':
+        return yield (yield* evaluateNode(node.argument, scope));
+    case 'Binary':
+        return applyOperator(
+            node.operator,
+            yield* evaluateNode(node.left, scope),
+            yield* evaluateNode(node.right, scope),
+        );
+    case 'Logical': {
+        const left = yield* evaluateNode(node.left, scope);
+
+        if (node.operator === '&&' ? !left : node.operator === '||' ? left : left != null) {
+            return left;
+        }
+
+        return yield* evaluateNode(node.right, scope);
+    }
+    case 'Conditional':
+        return (yield* evaluateNode(node.test, scope))
+            ? yield* evaluateNode(node.consequent, scope)
+            : yield* evaluateNode(node.alternate, scope);
+    case 'Assign': {
+        const operator = node.operator;
+        const ref = yield* getReference(node.target, scope);
+
+        if (operator === '=') {
+            const value = yield* evaluateNode(node.value, scope);
+            ref.set(value);
+            return value;
+        }
+
+        const current = ref.get();
+
+        // Logical assignments only evaluate (and assign) when needed
+        if (operator === '&&=' || operator === '||=' || operator === '??=') {
+            const keep = operator === '&&=' ? !current : operator === '||=' ? current : current != null;
+            if (keep) return current;
+
+            const value = yield* evaluateNode(node.value, scope);
+            ref.set(value);
+            return value;
+        }
+
+        const value = applyOperator(operator.slice(0, -1), current, yield* evaluateNode(node.value, scope));
+        ref.set(value);
+        return value;
+    }
+    case 'Update': {
+        const ref = yield* getReference(node.argument, scope);
+        const previous = Number(ref.get());
+        const value = node.operator === '++' ? previous + 1 : previous - 1;
+
+        ref.set(value);
+        return node.prefix ? value : previous;
+    }
+    }
+
+    throw new SyntaxError(`Unsupported expression "${node.type}"`);
+};
+
+/**
+ * getKey
+ * ------
+ * Evaluates a member's property key, checking the object can be read.
+ *
+ * @param {Object} node - Member node
+ * @param {*} object - Object being accessed
+ * @param {Object} scope - Current scope
+ * @returns {Generator} Interpreter generator for the key
+ */
+function* getKey(node, object, scope) {
+    if (object == null && node.optional) throw shortCircuit;
+
+    const key = node.computed ? yield* evaluateNode(node.property, scope) : node.property.value;
+
+    if (object == null) {
+        throw new TypeError(`Cannot read properties of ${object} (reading '${String(key)}')`);
+    }
+
+    return key;
+};
+
+/**
+ * getReference
+ * ------------
+ * Resolves an assignment target (identifier or member) into a getter/setter pair.
+ *
+ * @param {Object} node - Identifier or Member node
+ * @param {Object} scope - Current scope
+ * @returns {Generator} Interpreter generator for `{ get, set }`
+ */
+function* getReference(node, scope) {
+    if (node.type === 'Identifier') {
+        return {
+            get: () => lookup(node.name, scope)[0],
+            set: value => assignVariable(node.name, value, scope),
+        };
+    }
+
+    const object = yield* evaluateNode(node.object, scope);
+    const key = yield* getKey(node, object, scope);
+
+    return {
+        get: () => object[key],
+        set: value => Reflect.set(Object(object), key, value),
+    };
+};
+
+/**
+ * assignNode
+ * ----------
+ * Assigns a value to an identifier or member node.
+ *
+ * @param {Object} node - Identifier or Member node
+ * @param {*} value - Value to assign
+ * @param {Object} scope - Current scope
+ * @returns {Generator} Interpreter generator
+ */
+function* assignNode(node, value, scope) {
+    const ref = yield* getReference(node, scope);
+    ref.set(value);
+};
+
+/**
+ * evaluateCall
+ * ------------
+ * Evaluates a function call, passing the right `this` (the object for
+ * method calls, or the data/magics object a name was found on).
+ *
+ * @param {Object} node - Call node
+ * @param {Object} scope - Current scope
+ * @returns {Generator} Interpreter generator for the return value
+ */
+function* evaluateCall(node, scope) {
+    const callee = node.callee;
+    let fn;
+    let thisValue;
+
+    if (callee.type === 'Member') {
+        thisValue = yield* evaluateNode(callee.object, scope);
+        fn = thisValue[yield* getKey(callee, thisValue, scope)];
+    } else if (callee.type === 'Identifier') {
+        [fn, thisValue] = lookup(callee.name, scope);
+    } else {
+        fn = yield* evaluateNode(callee, scope);
+    }
+
+    if (fn == null && node.optional) throw shortCircuit;
+
+    if (typeof fn !== 'function') {
+        throw new TypeError(`${describe(callee)} is not a function`);
+    }
+
+    return fn.apply(thisValue, yield* evaluateArguments(node.args, scope));
+};
+
+/**
+ * evaluateArguments
+ * -----------------
+ * Evaluates call arguments (including spread ones).
+ *
+ * @param {Array<Object>} args - Argument nodes
+ * @param {Object} scope - Current scope
+ * @returns {Generator} Interpreter generator for the argument values
+ */
+function* evaluateArguments(args, scope) {
+    const values = [];
+
+    for (const arg of args) {
+        if (arg.type === 'Spread') {
+            values.push(...(yield* evaluateNode(arg.argument, scope)));
+        } else {
+            values.push(yield* evaluateNode(arg, scope));
+        }
+    }
+
+    return values;
+};
+
+/**
+ * evaluateUnary
+ * -------------
+ * Evaluates a unary operator (`!`, `-`, `typeof`, `delete`, etc.).
+ *
+ * @param {Object} node - Unary node
+ * @param {Object} scope - Current scope
+ * @returns {Generator} Interpreter generator for the value
+ */
+function* evaluateUnary(node, scope) {
+    const { operator, argument } = node;
+
+    // typeof doesn't throw for undeclared names
+    if (operator === 'typeof' && argument.type === 'Identifier' && !isDefined(argument.name, scope)) {
+        return 'undefined';
+    }
+
+    if (operator === 'delete') {
+        if (argument.type !== 'Member') return true;
+
+        const object = yield* evaluateNode(argument.object, scope);
+        const key = yield* getKey(argument, object, scope);
+
+        return Reflect.deleteProperty(Object(object), key);
+    }
+
+    const value = yield* evaluateNode(argument, scope);
+
+    switch (operator) {
+    case '!': return !value;
+    case '-': return -value;
+    case '+': return +value;
+    case '~': return ~value;
+    case 'typeof': return typeof value;
+    case 'void': return undefined;
+    }
+};
+
+/**
+ * evaluateObject
+ * --------------
+ * Evaluates an object literal (including methods, getters/setters and spread).
+ *
+ * @param {Object} node - Object node
+ * @param {Object} scope - Current scope
+ * @returns {Generator} Interpreter generator for the object
+ */
+function* evaluateObject(node, scope) {
+    const object = {};
+
+    for (const property of node.properties) {
+        if (property.kind === 'spread') {
+            Object.assign(object, yield* evaluateNode(property.value, scope));
+            continue;
+        }
+
+        const key = property.computed ? yield* evaluateNode(property.key, scope) : property.key;
+
+        if (property.kind === 'init') {
+            object[key] = yield* evaluateNode(property.value, scope);
+            continue;
+        }
+
+        // Getters/setters (merged, if both are defined)
+        const existing = Object.getOwnPropertyDescriptor(object, key) || {};
+
+        Object.defineProperty(object, key, {
+            get: existing.get,
+            set: existing.set,
+            [property.kind]: createFunction(property.value, scope),
+            enumerable: true,
+            configurable: true,
+        });
+    }
+
+    return object;
+};
+
+/**
+ * createFunction
+ * --------------
+ * Creates a real function from a function node, so it can be called from
+ * anywhere (e.g. passed to `Array.filter`, or used as a method).
+ *
+ * @param {Object} node - Function node
+ * @param {Object} scope - Scope the function closes over
+ * @returns {Function} Function
+ */
+function createFunction(node, scope) {
+    const run = function* (thisValue, args) {
+        const local = node.isArrow
+            ? createScope(scope)
+            : createScope(scope, { hasThis: true, thisValue });
+
+        node.params.forEach((name, i) => declare(local, name, args[i], 'let'));
+
+        if (node.isExpression) {
+            return yield* evaluateNode(node.body, local);
+        }
+
+        const completion = yield* executeStatements(node.body.body, local);
+        return completion && completion.type === 'return' ? completion.value : undefined;
+    };
+
+    const call = (thisValue, args) => node.isAsync
+        ? runAsync(run(thisValue, args))
+        : runSync(run(thisValue, args));
+
+    return node.isArrow
+        ? (...args) => call(undefined, args)
+        : function (...args) { return call(this, args); };
+};
+
+/**
+ * executeStatements
+ * -----------------
+ * Executes a list of statements.
+ *
+ * @param {Array<Object>} body - Statement nodes
+ * @param {Object} scope - Current scope
+ * @returns {Generator} Interpreter generator for the completion (`{ type: 'return', value }`
+ * after a return, undefined otherwise)
+ */
+function* executeStatements(body, scope) {
+    for (const statement of body) {
+        const completion = yield* executeNode(statement, scope);
+        if (completion) return completion;
+    }
+};
+
+/**
+ * executeNode
+ * -----------
+ * Executes a statement node.
+ *
+ * @param {Object} node - Statement node
+ * @param {Object} scope - Current scope
+ * @returns {Generator} Interpreter generator for the completion
+ */
+function* executeNode(node, scope) {
+    switch (node.type) {
+    case 'Expression':
+        yield* evaluateNode(node.expression, scope);
+        return;
+    case 'Declaration':
+        for (const { name, init } of node.declarations) {
+            declare(scope, name, init ? yield* evaluateNode(init, scope) : undefined, node.kind);
+        }
+        return;
+    case 'Block':
+        return yield* executeStatements(node.body, createScope(scope));
+    case 'If':
+        if (yield* evaluateNode(node.test, scope)) {
+            return yield* executeNode(node.consequent, scope);
+        }
+
+        return node.alternate ? yield* executeNode(node.alternate, scope) : undefined;
+    case 'Return':
+        return { type: 'return', value: node.argument ? yield* evaluateNode(node.argument, scope) : undefined };
+    }
+
+    throw new SyntaxError(`Unsupported statement "${node.type}"`);
+};
+
+/**
+ * applyOperator
+ * -------------
+ * Applies a binary operator.
+ *
+ * @param {string} operator - Operator (e.g. "+")
+ * @param {*} left - Left operand
+ * @param {*} right - Right operand
+ * @returns {*} Result
+ */
+function applyOperator(operator, left, right) {
+    switch (operator) {
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/': return left / right;
+    case '%': return left % right;
+    case '**': return left ** right;
+    case '==': return left == right;
+    case '!=': return left != right;
+    case '===': return left === right;
+    case '!==': return left !== right;
+    case '<': return left < right;
+    case '>': return left > right;
+    case '<=': return left <= right;
+    case '>=': return left >= right;
+    case '<<': return left << right;
+    case '>>': return left >> right;
+    case '>>>': return left >>> right;
+    case '&': return left & right;
+    case '|': return left | right;
+    case '^': return left ^ right;
+    case 'in': return left in right;
+    case 'instanceof': return left instanceof right;
+    }
+
+    throw new SyntaxError(`Unsupported operator "${operator}"`);
+};
+
+/**
+ * describe
+ * --------
+ * Describes a callee for error messages (e.g. "user.save").
+ *
+ * @param {Object} node - Expression node
+ * @returns {string} Description
+ */
+function describe(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'Member' && !node.computed) return `${describe(node.object)}.${node.property.value}`;
+
+    return 'expression';
+};
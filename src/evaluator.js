@@ -0,0 +1,157 @@
+/**
+ * Expression evaluator
+ * --------------------
+ * Compiles directive expressions with `new Function`, running them inside
+ * `with` statements so data properties can be used directly
+ * (e.g. "count" instead of "$data.count").
+ *
+ * The CSP build swaps this module for `evaluator.csp.js`, which exports the
+ * same functions but interprets expressions instead.
+ *
+ * Magics (e.g. `$el`, `$store`) are passed in as an object. Data properties
+ * take precedence over magics, which take precedence over globals.
+ *
+ * @module evaluator
+ */
+
+/**
+ * Compiled functions, keyed by mode and source (each string is only compiled
+ * once, and reused by every directive and every re-run)
+ * @type {Map<string, Function>}
+ */
+const cache = new Map();
+
+/**
+ * Errors thrown while compiling (rather than while running)
+ * @type {WeakSet<Error>}
+ */
+const compileErrors = new WeakSet();
+
+/**
+ * Function parameters and bodies for each mode
+ * @type {Object}
+ */
+const templates = {
+    expression: {
+        params: ['$magics', '$data'],
+        body: expr => `
+            with($magics) {
+                with($data) {
+                    return ${expr};
+                }
+            }
+        `,
+    },
+    statements: {
+        // An async function, to support await
+        params: ['$magics', '$data'],
+        body: code => `
+            return (async () => {
+                with($magics) {
+                    with($data) {
+                        ${code}
+                    }
+                }
+            })();
+        `,
+    },
+    assignment: {
+        params: ['$magics', '$data', '$value'],
+        body: expr => `
+            with($magics) {
+                with($data) {
+                    ${expr} = $value;
+                }
+            }
+        `,
+    },
+};
+
+/**
+ * evaluate
+ * --------
+ * Evaluates a JavaScript expression against data and magics.
+ *
+ * Example: `evaluate("count + 1", { count: 1 }, {})` returns 2
+ *
+ * @param {string} expr - JavaScript expression
+ * @param {Object} data - Data the expression can read (also `this`)
+ * @param {Object} magics - Magic properties (e.g. `{ $el, $store }`)
+ * @returns {*} Result of the expression
+ */
+export function evaluate(expr, data, magics) {
+    return compile(expr, 'expression').call(data, magics, data);
+};
+
+/**
+ * execute
+ * -------
+ * Executes JavaScript statements against data and magics.
+ * Runs as an async function, so statements can use `await`.
+ *
+ * @param {string} code - JavaScript statements
+ * @param {Object} data - Data the statements can read and write (also `this`)
+ * @param {Object} magics - Magic properties (e.g. `{ $event, $el }`)
+ * @returns {Promise} Promise that resolves when execution completes
+ */
+export function execute(code, data, magics) {
+    return compile(code, 'statements').call(data, magics, data);
+};
+
+/**
+ * assign
+ * ------
+ * Assigns a value to an assignable expression (e.g. "user.name").
+ *
+ * @param {string} expr - Assignable JavaScript expression
+ * @param {Object} data - Data to assign into
+ * @param {Object} magics - Magic properties
+ * @param {*} value - Value to assign
+ */
+export function assign(expr, data, magics, value) {
+    compile(expr, 'assignment').call(data, magics, data, value);
+};
+
+/**
+ * isCompileError
+ * --------------
+ * Checks whether an error was thrown while compiling an expression (e.g. a
+ * syntax error), rather than while running it. Compile errors are cached, so 
+ * the same error object is thrown every time the expression is used.
+ *
+ * @param {*} err - Thrown error
+ * @returns {boolean} Whether it's a compile error
+ */
+export function isCompileError(err) {
+    return compileErrors.has(err);
+};
+
+/**
+ * compile
+ * -------
+ * Compiles source code into a function, reusing it if it's been compiled
+ * before. Failures are cached too, so broken expressions aren't recompiled.
+ *
+ * @param {string} source - Source code
+ * @param {string} mode - 'expression', 'statements' or 'assignment'
+ * @returns {Function} Compiled function
+ */
+function compile(source, mode) {
+    const key = mode + ':' + source;
+
+    if (!cache.has(key)) {
+        const { params, body } = templates[mode];
+        let fn;
+
+        try {
+            fn = new Function(...params, body(source));
+        } catch (err) {
+            compileErrors.add(err);
+            fn = () => { throw err; };
+        }
+
+        cache.set(key, fn);
+    }
+
+    return cache.get(key);
+};
@@ -0,0 +1,111 @@
+/**
+ * Lifecycle hooks
+ * ---------------
+ * Lets plugins hook into what hamsterio does. Every hook is also dispatched
+ * as a (bubbling) DOM event on the element involved, like `hamsterio:ready`:
+ * - `beforeInit` / `afterInit` (`hamsterio:before-init` / `hamsterio:after-init`):
+ *   an element with directives is about to be / has been initialised (incl. its children)
+ * - `context` (`hamsterio:context`): h-data created a component's reactive context
+ * - `error` (`hamsterio:error`): an expression, statement or effect threw
+ * - `cleanup` (`hamsterio:cleanup`): an element's context was cleaned up
+ *
+ * @module hooks
+ */
+
+/**
+ * Registered hook callbacks, by hook name
+ * @type {Object<string, Array<Function>>}
+ */
+const hooks = {
+    beforeInit: [],
+    afterInit: [],
+    context: [],
+    error: [],
+    cleanup: [],
+};
+
+/**
+ * DOM event names for each hook (prefixed with "hamsterio:")
+ * @type {Object<string, string>}
+ */
+const eventNames = {
+    beforeInit: 'before-init',
+    afterInit: 'after-init',
+    context: 'context',
+    error: 'error',
+    cleanup: 'cleanup',
+};
+
+/**
+ * hook
+ * ----
+ * Registers a callback for a lifecycle hook. The callback gets a detail
+ * object (e.g. `{ el }`, or `{ el, context }` for `context`).
+ *
+ * Example:
+ * ```js
+ *   hamsterio.hook('context', ({ el, context }) => {
+ *       console.log('New component: ', el, context.data);
+ *   });
+ *
+ * ```
+ * @param {string} name - Hook name (`beforeInit`, `afterInit`, `context`, `error` or `cleanup`)
+ * @param {Function} fn - Callback
+ * @returns {Function} Function that removes the callback
+ */
+export function hook(name, fn) {
+    if (!hooks[name]) {
+        console.error('🐹 [hook] Unknown hook: ', name);
+        return () => {};
+    }
+
+    hooks[name].push(fn);
+
+    return () => {
+        const index = hooks[name].indexOf(fn);
+        if (index !== -1) hooks[name].splice(index, 1);
+    };
+};
+
+/**
+ * emit
+ * ----
+ * Runs a hook's callbacks and dispatches its DOM event.
+ * A failing callback doesn't stop the others (or hamsterio).
+ *
+ * @param {string} name - Hook name
+ * @param {EventTarget} target - Element (or document) to dispatch the event on
+ * @param {Object} detail - Hook details
+ */
+export function emit(name, target, detail) {
+    hooks[name].forEach(fn => {
+        try {
+            fn(detail);
+        } catch (err) {
+            console.error(`🐹 [${name}] Hook error: `, err);
+        }
+    });
+
+    target.dispatchEvent(new CustomEvent(`hamsterio:${eventNames[name]}`, { detail, bubbles: true }));
+};
+
+/**
+ * onError
+ * -------
+ * Registers an error handler, called whenever an expression, statement or 
+ * effect throws (errors are still logged). Handy for forwarding errors to a 
+ * reporting service.
+ * 
+ * Example:
+ * ```js
+ *   hamsterio.onError((error, { directive, expression, el, context }) => {
+ *       Sentry.captureException(error, { extra: { directive, expression } });
+ *   });
+ * 
+ * ```
+ * @param {Function} handler - Called with the error and `{ directive, attribute, expression, el, context }`
+ * @returns {Function} Function that removes the handler
+ */
+export function onError(handler) {
+    return hook('error', ({ error, ...info }) => handler(error, info));
+};
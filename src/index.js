@@ -1,18 +1,64 @@
 import * as signals from "./signal.js";
 import * as directives from "./directives.js";
+import { store, removeStore } from "./store.js";
+import { hook, onError } from "./hooks.js";
+import { persist } from "./persist.js";
+import { devtools as devtoolsApi } from "./devtools.js";
 
-// hamsterio is browser-only
-if (typeof window === 'undefined') {
-    throw new Error(
-        '🐹 hamsterio requires a browser environment. Your hamster needs a wheel to run on! ' +
-        'If using SSR (Next.js, Nuxt, etc), make sure hamsterio only runs on the client.'
-    );
-}
+/**
+ * Whether we're in a browser. Importing hamsterio elsewhere (e.g. in an SSR 
+ * build or shared module) is side-effect free: nothing touches the DOM until 
+ * `init` is called.
+ * @type {boolean}
+ */
+const isBrowser = typeof window !== 'undefined' && typeof document !== 'undefined';
+
+/**
+ * Devtools (see `devtools.js`), only included in the dev build
+ * @type {Object|undefined}
+ */
+const devtools = typeof __DEV__ !== 'undefined' && __DEV__ ? devtoolsApi : undefined;
+
+const api = { ...signals, ...directives, store, removeStore, hook, onError, persist, devtools, plugin };
+
+/**
+ * Installed plugins (so installing one twice is a no-op)
+ * @type {Set<Function>}
+ */
+const plugins = new Set();
+
+/**
+ * plugin
+ * ------
+ * Installs a plugin: a function that gets the hamsterio API, so it can
+ * register directives, magics, stores and lifecycle hooks.
+ * 
+ * Example:
+ * ```js
+ *   hamsterio.plugin(({ directive, hook }) => {
+ *       directive('autofocus', el => el.focus());
+ *       hook('error', ({ error }) => reportToServer(error));
+ *   });
+ * 
+ * ```
+ * @param {Function} fn - Plugin function
+ */
+export function plugin(fn) {
+    if (typeof fn !== 'function') {
+        console.error('🐹 [plugin] Plugin must be a function: ', fn);
+        return;
+    }
 
-const api = { ...signals, ...directives };
+    if (plugins.has(fn)) return;
+    plugins.add(fn);
+
+    fn(api);
+};
 
 // expose globally, so users can use functions in inline scripts (e.g. createSignal, etc.)
-window.hamsterio = api;
+if (isBrowser) {
+    window.hamsterio = api;
+}
 
 // export default, so users can import whole package (e.g. import hamsterio from 'hamsterio')
 export default api;
@@ -21,12 +67,25 @@ export default api;
 // (e.g. import { createSignal } from 'hamsterio')
 export * from "./signal.js";
 export * from "./directives.js";
+export { store, removeStore } from "./store.js";
+export { hook, onError } from "./hooks.js";
+export { persist } from "./persist.js";
+export { devtools };
 
-// Auto-init (can be disabled with window.hamsterioAutoInit = false)
-if (window.hamsterioAutoInit !== false) {
+// Auto-init in browsers (can be disabled with window.hamsterioAutoInit = false)
+if (isBrowser && window.hamsterioAutoInit !== false) {
     const autoInit = () => {
         if (document.body) {
+            // Last chance to install plugins (and register directives, stores, etc.)
+            document.dispatchEvent(new CustomEvent('hamsterio:init', { detail: { hamsterio: api } }));
+
             directives.init();
+
+            // Opt-in: init/cleanup content added/removed later (window.hamsterioObserve = true)
+            if (window.hamsterioObserve === true) {
+                directives.observe();
+            }
+
             document.dispatchEvent(new CustomEvent('hamsterio:ready'));
         }
     };
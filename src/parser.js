@@ -0,0 +1,998 @@
+/**
+ * Expression parser
+ * -----------------
+ * Tokenises and parses the JavaScript used in directives into an AST, so the
+ * CSP build can evaluate it without `new Function` (see `evaluator.csp.js`).
+ *
+ * Covers the subset directives need: literals (incl. template literals),
+ * member access (incl. optional chaining), calls, `new`, operators, ternaries,
+ * assignments, object/array literals (with spread, methods and getters), arrow
+ * functions and `await`. Statements (h-on, h-init, method bodies) are those
+ * expressions separated by `;` or line breaks, plus `const`/`let`, `if`/`else`
+ * and `return`.
+ *
+ * @module parser
+ */
+
+/**
+ * Punctuators, longest first (so e.g. "===" wins over "==")
+ * @type {Array<string>}
+ */
+const punctuators = [
+    '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+    '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=',
+    '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>', '{', '}', '(', ')', '[',
+    ']', ';', ',', '<', '>', '+', '-', '*', '/', '%', '&', '|', '^', '!', '~', '?',
+    ':', '=', '.',
+];
+
+/**
+ * Binary operator precedence (higher binds tighter)
+ * @type {Object}
+ */
+const precedence = {
+    '??': 1, '||': 2, '&&': 3, '|': 4, '^': 5, '&': 6,
+    '==': 7, '!=': 7, '===': 7, '!==': 7,
+    '<': 8, '>': 8, '<=': 8, '>=': 8, 'instanceof': 8, 'in': 8,
+    '<<': 9, '>>': 9, '>>>': 9,
+    '+': 10, '-': 10,
+    '*': 11, '/': 11, '%': 11,
+    '**': 12,
+};
+
+/**
+ * Assignment operators
+ * @type {Array<string>}
+ */
+const assignmentOperators = [
+    '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=',
+    '&=', '|=', '^=', '&&=', '||=', '??=',
+];
+
+/**
+ * Keywords that can't be used as names (incl. statements the parser doesn't
+ * support, so they fail with a clear error)
+ * @type {Array<string>}
+ */
+const reservedWords = [
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'do', 'else', 'finally',
+    'for', 'function', 'if', 'let', 'return', 'switch', 'throw', 'try', 'var', 'while',
+];
+
+/**
+ * parse
+ * -----
+ * Parses source code into an AST.
+ * - `'expression'` mode parses a single expression (e.g. h-text, h-bind)
+ * - `'statements'` mode parses a list of statements (e.g. h-on, h-init)
+ * - `'assignment'` mode parses an assignable expression (e.g. h-model)
+ *
+ * @param {string} source - Source code
+ * @param {string} [mode] - 'expression' (default), 'statements' or 'assignment'
+ * @returns {Object} AST node
+ */
+export function parse(source, mode = 'expression') {
+    const parser = { source, tokens: tokenize(source), pos: 0 };
+    let ast;
+
+    if (mode === 'statements') {
+        ast = { type: 'Program', body: parseStatements(parser) };
+    } else {
+        ast = parseExpression(parser);
+        if (is(parser, ';')) next(parser);
+
+        if (mode === 'assignment' && !isAssignable(ast)) {
+            throw new SyntaxError(`Invalid assignment target "${source}"`);
+        }
+    }
+
+    // Make sure nothing is left over
+    if (peek(parser).type !== 'eof') throw fail(parser);
+
+    return ast;
+};
+
+/**
+ * peek
+ * ----
+ * Gets the current token (or one further ahead), without consuming it.
+ *
+ * @param {Object} parser - Parser state (`{ source, tokens, pos }`)
+ * @param {number} [offset] - How far ahead to look
+ * @returns {Object} Token
+ */
+function peek(parser, offset = 0) {
+    const { tokens, pos } = parser;
+    return tokens[Math.min(pos + offset, tokens.length - 1)];
+};
+
+/**
+ * next
+ * ----
+ * Consumes the current token.
+ *
+ * @param {Object} parser - Parser state
+ * @returns {Object} Token
+ */
+function next(parser) {
+    return parser.tokens[parser.pos++];
+};
+
+/**
+ * is
+ * --
+ * Checks whether a token is a given punctuator or name (e.g. "(" or "await").
+ *
+ * @param {Object} parser - Parser state
+ * @param {string} value - Punctuator or name
+ * @param {number} [offset] - How far ahead to look
+ * @returns {boolean} Whether the token matches
+ */
+function is(parser, value, offset = 0) {
+    const token = peek(parser, offset);
+    return (token.type === 'punct' || token.type === 'name') && token.value === value;
+};
+
+/**
+ * isName
+ * ------
+ * Checks whether a token is a name that can be used as an identifier.
+ *
+ * @param {Object} parser - Parser state
+ * @param {number} [offset] - How far ahead to look
+ * @returns {boolean} Whether the token is a usable name
+ */
+function isName(parser, offset = 0) {
+    const token = peek(parser, offset);
+    return token.type === 'name' && !reservedWords.includes(token.value);
+};
+
+/**
+ * expect
+ * ------
+ * Consumes a given punctuator or name, failing if it's something else.
+ *
+ * @param {Object} parser - Parser state
+ * @param {string} value - Expected punctuator or name
+ * @returns {Object} Token
+ */
+function expect(parser, value) {
+    if (!is(parser, value)) throw fail(parser);
+    return next(parser);
+};
+
+/**
+ * expectName
+ * ----------
+ * Consumes a name that can be used as an identifier, failing otherwise.
+ *
+ * @param {Object} parser - Parser state
+ * @returns {string} Name
+ */
+function expectName(parser) {
+    if (!isName(parser)) throw fail(parser);
+    return next(parser).value;
+};
+
+/**
+ * fail
+ * ----
+ * Creates the syntax error for an unexpected token.
+ *
+ * @param {Object} parser - Parser state
+ * @param {Object} [token] - Unexpected token (default: the current one)
+ * @returns {SyntaxError} Error to throw
+ */
+function fail(parser, token = peek(parser)) {
+    const text = token.type === 'eof' ? 'end of input' : `token '${token.raw}'`;
+    return new SyntaxError(`Unexpected ${text} in "${parser.source}"`);
+};
+
+/**
+ * isAssignable
+ * ------------
+ * Checks whether a node can be assigned to (a name or a member).
+ *
+ * @param {Object} node - Expression node
+ * @returns {boolean} Whether it can be assigned to
+ */
+function isAssignable(node) {
+    return node.type === 'Identifier' || node.type === 'Member';
+};
+
+/**
+ * parseStatements
+ * ---------------
+ * Parses statements up to a "}" or the end of the input.
+ *
+ * @param {Object} parser - Parser state
+ * @returns {Array<Object>} Statement nodes
+ */
+function parseStatements(parser) {
+    const body = [];
+
+    while (!is(parser, '}') && peek(parser).type !== 'eof') {
+        if (is(parser, ';')) {
+            next(parser);
+            continue;
+        }
+
+        body.push(parseStatement(parser));
+    }
+
+    return body;
+};
+
+/**
+ * parseStatement
+ * --------------
+ * Parses a statement: a block, `const`/`let`, `if`, `return`, or an expression.
+ *
+ * @param {Object} parser - Parser state
+ * @returns {Object} Statement node
+ */
+function parseStatement(parser) {
+    if (is(parser, '{')) return parseBlock(parser);
+    if (is(parser, 'const') || is(parser, 'let')) return parseDeclaration(parser);
+    if (is(parser, 'if')) return parseIf(parser);
+
+    if (is(parser, 'return')) {
+        next(parser);
+
+        const token = peek(parser);
+        const argument = is(parser, ';') || is(parser, '}') || token.type === 'eof' || token.newline
+            ? null
+            : parseExpression(parser);
+
+        endStatement(parser);
+        return { type: 'Return', argument };
+    }
+
+    const expression = parseExpression(parser);
+    endStatement(parser);
+
+    return { type: 'Expression', expression };
+};
+
+/**
+ * endStatement
+ * ------------
+ * Ends a statement, which needs a ";", a "}", a line break or the end of the
+ * input after it (automatic semicolon insertion).
+ *
+ * @param {Object} parser - Parser state
+ */
+function endStatement(parser) {
+    if (is(parser, ';')) {
+        next(parser);
+        return;
+    }
+
+    const token = peek(parser);
+    if (!is(parser, '}') && token.type !== 'eof' && !token.newline) throw fail(parser);
+};
+
+/**
+ * parseBlock
+ * ----------
+ * Parses a block (`{ ... }`).
+ *
+ * @param {Object} parser - Parser state
+ * @returns {Object} Block node
+ */
+function parseBlock(parser) {
+    expect(parser, '{');
+    const body = parseStatements(parser);
+    expect(parser, '}');
+
+    return { type: 'Block', body };
+};
+
+/**
+ * parseDeclaration
+ * ----------------
+ * Parses a `const`/`let` declaration (e.g. `const total = price * 2, tax = 0`).
+ *
+ * @param {Object} parser - Parser state
+ * @returns {Object} Declaration node
+ */
+function parseDeclaration(parser) {
+    const kind = next(parser).value;
+    const declarations = [];
+
+    do {
+        const name = expectName(parser);
+        const init = is(parser, '=') ? (next(parser), parseExpression(parser)) : null;
+
+        declarations.push({ name, init });
+    } while (is(parser, ',') && next(parser));
+
+    endStatement(parser);
+    return { type: 'Declaration', kind, declarations };
+};
+
+/**
+ * parseIf
+ * -------
+ * Parses an `if` statement (with an optional `else`).
+ *
+ * @param {Object} parser - Parser state
+ * @returns {Object} If node
+ */
+function parseIf(parser) {
+    next(parser);
+    expect(parser, '(');
+    const test = parseExpression(parser);
+    expect(parser, ')');
+
+    const consequent = parseStatement(parser);
+    const alternate = is(parser, 'else') ? (next(parser), parseStatement(parser)) : null;
+
+    return { type: 'If', test, consequent, alternate };
+};
+
+/**
+ * parseExpression
+ * ---------------
+ * Parses an expression, incl. assignments (e.g. `count += step`) and arrow
+ * functions.
+ *
+ * @param {Object} parser - Parser state
+ * @returns {Object} Expression node
+ */
+function parseExpression(parser) {
+    if (isArrowAhead(parser)) return parseArrow(parser);
+
+    const target = parseConditional(parser);
+    const token = peek(parser);
+
+    if (token.type === 'punct' && assignmentOperators.includes(token.value)) {
+        if (!isAssignable(target)) throw fail(parser);
+
+        next(parser);
+        return { type: 'Assign', operator: token.value, target, value: parseExpression(parser) };
+    }
+
+    return target;
+};
+
+/**
+ * isArrowAhead
+ * ------------
+ * Checks whether an arrow function starts here ("x =>", "(...) =>", or
+ * either after "async").
+ *
+ * @param {Object} parser - Parser state
+ * @returns {boolean} Whether an arrow function follows
+ */
+function isArrowAhead(parser) {
+    const offset = is(parser, 'async') && !peek(parser, 1).newline && (isName(parser, 1) || is(parser, '(', 1)) ? 1 : 0;
+
+    if (isName(parser, offset)) return is(parser, '=>', offset + 1);
+    if (!is(parser, '(', offset)) return false;
+
+    // Find the matching ")" and check for "=>" after it
+    let depth = 0;
+    for (let i = parser.pos + offset; i < parser.tokens.length; i++) {
+        const token = parser.tokens[i];
+        if (token.type !== 'punct') continue;
+
+        if (token.value === '(' || token.value === '[' || token.value === '{') depth++;
+        if (token.value === ')' || token.value === ']' || token.value === '}') depth--;
+
+        if (depth === 0) {
+            const after = parser.tokens[i + 1];
+            return after.type === 'punct' && after.value === '=>' && !after.newline;
+        }
+    }
+
+    return false;
+};
+
+/**
+ * parseArrow
+ * ----------
+ * Parses an arrow function, with an expression or a block as its body.
+ *
+ * @param {Object} parser - Parser state
+ * @returns {Object} Function node
+ */
+function parseArrow(parser) {
+    const isAsync = is(parser, 'async') && !is(parser, '=>', 1) ? (next(parser), true) : false;
+    const params = isName(parser) ? [next(parser).value] : parseParams(parser);
+
+    expect(parser, '=>');
+
+    const isExpression = !is(parser, '{');
+    const body = isExpression ? parseExpression(parser) : parseBlock(parser);
+
+    return { type: 'Function', params, body, isArrow: true, isAsync, isExpression };
+};
+
+/**
+ * parseParams
+ * -----------
+ * Parses a function's parameter names (e.g. `(item, index)`).
+ *
+ * @param {Object} parser - Parser state
+ * @returns {Array<string>} Parameter names
+ */
+function parseParams(parser) {
+    expect(parser, '(');
+
+    const params = [];
+    while (!is(parser, ')')) {
+        params.push(expectName(parser));
+        if (!is(parser, ')')) expect(parser, ',');
+    }
+
+    next(parser);
+    return params;
+};
+
+/**
+ * parseConditional
+ * ----------------
+ * Parses a ternary (`test ? a : b`), or a binary expression.
+ *
+ * @param {Object} parser - Parser state
+ * @returns {Object} Expression node
+ */
+function parseConditional(parser) {
+    const test = parseBinary(parser, 0);
+    if (!is(parser, '?')) return test;
+
+    next(parser);
+    const consequent = parseExpression(parser);
+    expect(parser, ':');
+    const alternate = parseExpression(parser);
+
+    return { type: 'Conditional', test, consequent, alternate };
+};
+
+/**
+ * parseBinary
+ * -----------
+ * Parses binary and logical operators, by precedence (`a + b * c`).
+ *
+ * @param {Object} parser - Parser state
+ * @param {number} minPrecedence - Only operators binding tighter than this are parsed
+ * @returns {Object} Expression node
+ */
+function parseBinary(parser, minPrecedence) {
+    let left = parseUnary(parser);
+
+    while (true) {
+        const token = peek(parser);
+        const operator = token.value;
+        const level = (token.type === 'punct' || token.type === 'name') && precedence[operator];
+
+        if (!level || level <= minPrecedence) break;
+
+        // A unary operand of "**" needs parentheses (e.g. `(-a) ** 2`)
+        if (operator === '**' && left.type === 'Unary' && !left.parenthesized) throw fail(parser, token);
+
+        next(parser);
+
+        // "**" is right-associative
+        const right = parseBinary(parser, operator === '**' ? level - 1 : level);
+        const type = operator === '&&' || operator === '||' || operator === '??' ? 'Logical' : 'Binary';
+
+        left = { type, operator, left, right };
+    }
+
+    return left;
+};
+
+/**
+ * parseUnary
+ * ----------
+ * Parses unary operators (`!`, `-`, `typeof`, etc.), `await`, and `++`/`--`.
+ *
+ * @param {Object} parser - Parser state
+ * @returns {Object} Expression node
+ */
+function parseUnary(parser) {
+    const token = peek(parser);
+
+    if (['!', '-', '+', '~', 'typeof', 'void', 'delete'].some(operator => is(parser, operator))) {
+        next(parser);
+        return { type: 'Unary', operator: token.value, argument: parseUnary(parser) };
+    }
+
+    if (is(parser, 'await') && startsExpression(peek(parser, 1))) {
+        next(parser);
+        return { type: 'Await', argument: parseUnary(parser) };
+    }
+
+    if (is(parser, '++') || is(parser, '--')) {
+        next(parser);
+        const argument = parseUnary(parser);
+        if (!isAssignable(argument)) throw fail(parser, token);
+
+        return { type: 'Update', operator: token.value, prefix: true, argument };
+    }
+
+    const argument = parseCallMember(parser);
+
+    if ((is(parser, '++') || is(parser, '--')) && !peek(parser).newline) {
+        if (!isAssignable(argument)) throw fail(parser);
+        return { type: 'Update', operator: next(parser).value, prefix: false, argument };
+    }
+
+    return argument;
+};
+
+/**
+ * startsExpression
+ * ----------------
+ * Checks whether a token can start an expression (so `await` followed by it
+ * is an await, rather than a name).
+ *
+ * @param {Object} token - Token
+ * @returns {boolean} Whether an expression can start with it
+ */
+function startsExpression(token) {
+    if (token.type === 'eof') return false;
+    if (token.type !== 'punct') return true;
+
+    return ['(', '[', '{', '!', '-', '+', '~', '++', '--'].includes(token.value);
+};
+
+/**
+ * parseCallMember
+ * ---------------
+ * Parses member access and calls (incl. optional chaining), e.g. `user?.tags[0].trim()`.
+ *
+ * @param {Object} parser - Parser state
+ * @returns {Object} Expression node
+ */
+function parseCallMember(parser) {
+    let expression = is(parser, 'new') ? parseNew(parser) : parsePrimary(parser);
+    let isChain = false;
+
+    while (true) {
+        const optional = is(parser, '?.');
+
+        if (optional) {
+            next(parser);
+            isChain = true;
+        }
+
+        if (is(parser, '(')) {
+            expression = { type: 'Call', callee: expression, args: parseArguments(parser), optional };
+        } else if (optional || is(parser, '.') || is(parser, '[')) {
+            expression = parseMember(parser, expression, optional);
+        } else {
+            break;
+        }
+    }
+
+    // Optional chains short-circuit as a whole (e.g. `a?.b.c` is undefined if a is)
+    return isChain ? { type: 'Chain', expression } : expression;
+};
+
+/**
+ * parseMember
+ * -----------
+ * Parses a property access after an object: `.name`, `[key]`, or (after `?.`)
+ * `name`/`[key]`.
+ *
+ * @param {Object} parser - Parser state
+ * @param {Object} object - Object node
+ * @param {boolean} [optional] - Whether it follows a `?.`
+ * @returns {Object} Member node
+ */
+function parseMember(parser, object, optional = false) {
+    if (is(parser, '[')) {
+        next(parser);
+        const property = parseExpression(parser);
+        expect(parser, ']');
+
+        return { type: 'Member', object, property, computed: true, optional };
+    }
+
+    if (!optional) expect(parser, '.');
+
+    // Any name works as a property (e.g. `item.default`)
+    const token = next(parser);
+    if (token.type !== 'name') throw fail(parser, token);
+
+    return { type: 'Member', object, property: { type: 'Literal', value: token.value }, computed: false, optional };
+};
+
+/**
+ * parseNew
+ * --------
+ * Parses a `new` expression (e.g. `new Date(timestamp)`).
+ *
+ * @param {Object} parser - Parser state
+ * @returns {Object} New node
+ */
+function parseNew(parser) {
+    next(parser);
+
+    let callee = parsePrimary(parser);
+    while (is(parser, '.') || is(parser, '[')) {
+        callee = parseMember(parser, callee);
+    }
+
+    return { type: 'New', callee, args: is(parser, '(') ? parseArguments(parser) : [] };
+};
+
+/**
+ * parseArguments
+ * --------------
+ * Parses call arguments (incl. spread ones).
+ *
+ * @param {Object} parser - Parser state
+ * @returns {Array<Object>} Argument nodes
+ */
+function parseArguments(parser) {
+    expect(parser, '(');
+
+    const args = [];
+    while (!is(parser, ')')) {
+        args.push(parseElement(parser));
+        if (!is(parser, ')')) expect(parser, ',');
+    }
+
+    next(parser);
+    return args;
+};
+
+/**
+ * parseElement
+ * ------------
+ * Parses an array element or call argument, which can be spread (`...items`).
+ *
+ * @param {Object} parser - Parser state
+ * @returns {Object} Expression or Spread node
+ */
+function parseElement(parser) {
+    if (!is(parser, '...')) return parseExpression(parser);
+
+    next(parser);
+    return { type: 'Spread', argument: parseExpression(parser) };
+};
+
+/**
+ * parsePrimary
+ * ------------
+ * Parses literals, names, `this`, parentheses, and array/object literals.
+ *
+ * @param {Object} parser - Parser state
+ * @returns {Object} Expression node
+ */
+function parsePrimary(parser) {
+    const token = peek(parser);
+
+    if (token.type === 'number' || token.type === 'string') {
+        next(parser);
+        return { type: 'Literal', value: token.value };
+    }
+
+    if (token.type === 'template') {
+        next(parser);
+        return { type: 'Template', quasis: token.quasis, expressions: token.expressions.map(expression => parse(expression)) };
+    }
+
+    if (token.type === 'name') {
+        const literals = { true: true, false: false, null: null };
+
+        if (token.value in literals) {
+            next(parser);
+            return { type: 'Literal', value: literals[token.value] };
+        }
+
+        if (token.value === 'this') {
+            next(parser);
+            return { type: 'This' };
+        }
+
+        return { type: 'Identifier', name: expectName(parser) };
+    }
+
+    if (is(parser, '(')) {
+        next(parser);
+        const expression = parseExpression(parser);
+        expect(parser, ')');
+
+        return { ...expression, parenthesized: true };
+    }
+
+    if (is(parser, '[')) return parseArray(parser);
+    if (is(parser, '{')) return parseObject(parser);
+
+    throw fail(parser);
+};
+
+/**
+ * parseArray
+ * ----------
+ * Parses an array literal (e.g. `[...items, item]`).
+ *
+ * @param {Object} parser - Parser state
+ * @returns {Object} Array node
+ */
+function parseArray(parser) {
+    expect(parser, '[');
+
+    const elements = [];
+    while (!is(parser, ']')) {
+        elements.push(parseElement(parser));
+        if (!is(parser, ']')) expect(parser, ',');
+    }
+
+    next(parser);
+    return { type: 'Array', elements };
+};
+
+/**
+ * parseObject
+ * -----------
+ * Parses an object literal: `key: value`, shorthand (`{ count }`), computed
+ * keys, spread, methods (incl. async) and getters/setters.
+ *
+ * @param {Object} parser - Parser state
+ * @returns {Object} Object node
+ */
+function parseObject(parser) {
+    expect(parser, '{');
+
+    const properties = [];
+    while (!is(parser, '}')) {
+        if (is(parser, '...')) {
+            next(parser);
+            properties.push({ kind: 'spread', value: parseExpression(parser) });
+        } else {
+            let kind = 'init';
+            let isAsync = false;
+
+            // Accessors (get x() {}) and async methods (async x() {}), unless that's the key itself
+            const isModifier = !is(parser, ':', 1) && !is(parser, '(', 1) && !is(parser, ',', 1) && !is(parser, '}', 1);
+
+            if ((is(parser, 'get') || is(parser, 'set')) && isModifier) {
+                kind = next(parser).value;
+            } else if (is(parser, 'async') && isModifier) {
+                next(parser);
+                isAsync = true;
+            }
+
+            const keyToken = peek(parser);
+            const { key, computed } = parseKey(parser);
+
+            if (is(parser, '(')) {
+                const params = parseParams(parser);
+                const body = parseBlock(parser);
+
+                properties.push({ kind, key, computed, value: { type: 'Function', params, body, isArrow: false, isAsync, isExpression: false } });
+            } else if (kind !== 'init' || isAsync) {
+                throw fail(parser);
+            } else if (is(parser, ':')) {
+                next(parser);
+                properties.push({ kind, key, computed, value: parseExpression(parser) });
+            } else if (keyToken.type === 'name' && !computed) {
+                properties.push({ kind, key, computed, value: { type: 'Identifier', name: key } });
+            } else {
+                throw fail(parser);
+            }
+        }
+
+        if (!is(parser, '}')) expect(parser, ',');
+    }
+
+    next(parser);
+    return { type: 'Object', properties };
+};
+
+/**
+ * parseKey
+ * --------
+ * Parses an object key: a name (incl. keywords), string, number or `[computed]`.
+ *
+ * @param {Object} parser - Parser state
+ * @returns {Object} `{ key, computed }` (key is a string, or a node if computed)
+ */
+function parseKey(parser) {
+    if (is(parser, '[')) {
+        next(parser);
+        const key = parseExpression(parser);
+        expect(parser, ']');
+
+        return { key, computed: true };
+    }
+
+    const token = next(parser);
+    if (token.type !== 'name' && token.type !== 'string' && token.type !== 'number') throw fail(parser, token);
+
+    return { key: String(token.value), computed: false };
+};
+
+/**
+ * tokenize
+ * --------
+ * Splits source code into tokens. Each token records whether a line break
+ * came before it (for automatic semicolon insertion).
+ *
+ * @param {string} source - Source code
+ * @returns {Array<Object>} Tokens, ending with an 'eof' token
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+    let newline = false;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        // Whitespace (remembering line breaks)
+        if (/\s/.test(char)) {
+            if (/[\n\r\u2028\u2029]/.test(char)) newline = true;
+            i++;
+            continue;
+        }
+
+        const start = i;
+        let token;
+
+        if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1]))) {
+            // Numbers (decimal, hex, exponents)
+            const match = /^(?:0[xX][\da-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/.exec(source.slice(i));
+
+            i += match[0].length;
+            token = { type: 'number', value: Number(match[0]) };
+        } else if (char === '"' || char === "'") {
+            [token, i] = readString(source, i);
+        } else if (char === '`') {
+            [token, i] = readTemplate(source, i);
+        } else if (/[A-Za-z_$\u00a0-\uffff]/.test(char)) {
+            // Names (identifiers and keywords)
+            const match = /^[A-Za-z0-9_$\u00a0-\uffff]+/.exec(source.slice(i));
+
+            i += match[0].length;
+            token = { type: 'name', value: match[0] };
+        } else {
+            // Punctuators ("?." followed by a digit is a ternary, e.g. `a?.5:1`)
+            const value = punctuators.find(p => source.startsWith(p, i) && !(p === '?.' && /[0-9]/.test(source[i + 2])));
+            if (!value) throw new SyntaxError(`Unexpected character '${char}' in "${source}"`);
+
+            i += value.length;
+            token = { type: 'punct', value };
+        }
+
+        token.raw = source.slice(start, i);
+        token.newline = newline;
+        newline = false;
+        tokens.push(token);
+    }
+
+    tokens.push({ type: 'eof', newline: true });
+
+    return tokens;
+};
+
+/**
+ * readString
+ * ----------
+ * Reads a string literal, starting at its opening quote.
+ *
+ * @param {string} source - Source code
+ * @param {number} i - Index of the opening quote
+ * @returns {Array} Tuple of [string token, index after the closing quote]
+ */
+function readString(source, i) {
+    const quote = source[i++];
+    let value = '';
+
+    while (source[i] !== quote) {
+        if (i >= source.length || source[i] === '\n') throw new SyntaxError(`Unterminated string in "${source}"`);
+
+        if (source[i] === '\\') {
+            value += readEscape(source, i);
+            i += 2;
+        } else {
+            value += source[i++];
+        }
+    }
+
+    return [{ type: 'string', value }, i + 1];
+};
+
+/**
+ * readTemplate
+ * ------------
+ * Reads a template literal, starting at its opening backtick. Its `${}`
+ * expressions are kept as source, and parsed separately.
+ *
+ * @param {string} source - Source code
+ * @param {number} i - Index of the opening backtick
+ * @returns {Array} Tuple of [template token, index after the closing backtick]
+ */
+function readTemplate(source, i) {
+    const quasis = [];
+    const expressions = [];
+    let value = '';
+    i++;
+
+    while (source[i] !== '`') {
+        if (i >= source.length) throw new SyntaxError(`Unterminated template literal in "${source}"`);
+
+        if (source[i] === '\\') {
+            value += readEscape(source, i);
+            i += 2;
+        } else if (source[i] === '$' && source[i + 1] === '{') {
+            const end = findClosingBrace(source, i + 2);
+            if (end === -1) throw new SyntaxError(`Unterminated template literal in "${source}"`);
+
+            quasis.push(value);
+            expressions.push(source.slice(i + 2, end));
+            value = '';
+            i = end + 1;
+        } else {
+            value += source[i++];
+        }
+    }
+
+    quasis.push(value);
+
+    return [{ type: 'template', quasis, expressions }, i + 1];
+};
+
+/**
+ * readEscape
+ * ----------
+ * Reads a (two character) escape sequence, e.g. "\n" or "\'".
+ *
+ * @param {string} source - Source code
+ * @param {number} i - Index of the backslash
+ * @returns {string} Escaped character
+ */
+function readEscape(source, i) {
+    const char = source[i + 1];
+    const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+    return char in escapes ? escapes[char] : char;
+};
+
+/**
+ * findClosingBrace
+ * ----------------
+ * Finds the "}" closing a template literal's `${` (skipping nested braces,
+ * strings and templates).
+ *
+ * @param {string} source - Source code
+ * @param {number} i - Index just after the `${`
+ * @returns {number} Index of the closing brace, or -1 if there isn't one
+ */
+function findClosingBrace(source, i) {
+    let depth = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (char === '"' || char === "'" || char === '`') {
+            // Skip strings and nested templates
+            i++;
+            while (i < source.length && source[i] !== char) {
+                if (source[i] === '\\') {
+                    i++;
+                } else if (char === '`' && source[i] === '$' && source[i + 1] === '{') {
+                    i = findClosingBrace(source, i + 2);
+                    if (i === -1) return -1;
+                }
+
+                i++;
+            }
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}') {
+            if (depth === 0) return i;
+            depth--;
+        }
+
+        i++;
+    }
+
+    return -1;
+};
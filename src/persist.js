@@ -0,0 +1,200 @@
+import { createEffect } from "./signal.js";
+
+/**
+ * Persisted state
+ * ---------------
+ * Data properties that survive reloads, saved as JSON in localStorage (or
+ * any other Storage, e.g. sessionStorage) and kept in sync between tabs.
+ * 
+ * `persist(value)` marks a property's default value. When `prepareData` sees
+ * the marker (in h-data or a store), it restores the saved value instead, and
+ * saves the property whenever it changes.
+ * 
+ * @module persist
+ */
+
+/**
+ * Options for each persist marker (key, storage, version, etc.)
+ * @type {WeakMap<Object, Object>}
+ */
+const markers = new WeakMap();
+
+/**
+ * persist
+ * -------
+ * Marks a data property as persisted, with `value` as its default. Chain
+ * `.as(key)` to set the storage key (default: "hamsterio:[property]"),
+ * `.using(storage)` to use another storage (default: localStorage), and
+ * `.version(number, migrate)` to migrate values saved by older versions:
+ * `migrate(value, savedVersion)` returns the new value (without `migrate`,
+ * old values are dropped).
+ * 
+ * Available as `$persist` in h-data.
+ * 
+ * Example:
+ * ```js
+ *   hamsterio.store('ui', {
+ *       dark: hamsterio.persist(false).as('theme-dark'),
+ *       sidebar: hamsterio.persist({ open: true }).using(sessionStorage),
+ *   });
+ * 
+ * ```
+ * ```html
+ *   <div h-data="{ draft: $persist('').as('comment-draft').version(2, old => old.trim()) }">
+ * 
+ * ```
+ * @param {*} value - Default value (used when nothing is saved yet)
+ * @returns {Object} Persist marker (with `as`, `using` and `version` methods)
+ */
+export function persist(value) {
+    const options = { value, key: null, storage: null, version: 0, migrate: null };
+
+    const marker = {
+        as(key) {
+            options.key = key;
+            return marker;
+        },
+        using(storage) {
+            options.storage = storage;
+            return marker;
+        },
+        version(version, migrate = null) {
+            options.version = version;
+            options.migrate = migrate;
+            return marker;
+        },
+    };
+
+    markers.set(marker, options);
+
+    return marker;
+};
+
+/**
+ * persistData
+ * -----------
+ * Restores the persisted properties of a data object (marked with `persist`),
+ * and saves them whenever they change (incl. nested changes). Changes made in
+ * other tabs are written back into the reactive data.
+ * 
+ * @param {Object} data - Raw data object
+ * @param {Proxy} proxy - Reactive proxy of the data object
+ * @returns {Function} Function that stops persisting
+ */
+export function persistData(data, proxy) {
+    // Look at the values only, as getters can't run yet (e.g. they may read parent data)
+    const disposers = Object.keys(data)
+        .map(name => [name, Object.getOwnPropertyDescriptor(data, name)?.value])
+        .filter(([, value]) => markers.has(value))
+        .map(([name, value]) => bindPersisted(data, proxy, name, markers.get(value)));
+
+    return () => disposers.forEach(dispose => dispose());
+};
+
+/**
+ * bindPersisted
+ * -------------
+ * Restores and saves a single persisted property.
+ * 
+ * @param {Object} data - Raw data object
+ * @param {Proxy} proxy - Reactive proxy of the data object
+ * @param {string} name - Property name
+ * @param {Object} options - Persist options (`{ value, key, storage, version, migrate }`)
+ * @returns {Function} Function that stops persisting
+ */
+function bindPersisted(data, proxy, name, { value, key, storage, version, migrate }) {
+    const storageKey = key || `hamsterio:${name}`;
+    const area = storage || getDefaultStorage();
+
+    // Restore the saved value (nothing reads the data yet, so the raw object can be set)
+    data[name] = area ? read(area, storageKey, version, migrate, value) : value;
+
+    if (!area) return () => {};
+
+    // Save on every change (JSON.stringify reads the whole value, so nested changes are tracked too)
+    const dispose = createEffect(() => {
+        const json = JSON.stringify({ version, value: proxy[name] });
+
+        try {
+            area.setItem(storageKey, json);
+        } catch (e) {
+            console.error('🐹 [persist] Couldn\'t save: ', storageKey, e);
+        }
+    });
+
+    // Keep tabs in sync (other tabs writing the same key)
+    const onStorage = (e) => {
+        if (e.storageArea !== area || e.key !== storageKey) return;
+
+        proxy[name] = e.newValue == null ? value : read(area, storageKey, version, migrate, value);
+    };
+
+    if (typeof window !== 'undefined') {
+        window.addEventListener('storage', onStorage);
+    }
+
+    return () => {
+        dispose();
+
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('storage', onStorage);
+        }
+    };
+};
+
+/**
+ * read
+ * ----
+ * Reads a saved value, migrating it if it was saved by another version.
+ * Values saved without hamsterio (plain JSON) count as having no version.
+ * 
+ * @param {Storage} area - Storage to read from
+ * @param {string} key - Storage key
+ * @param {number} version - Current version
+ * @param {Function|null} migrate - Migration function
+ * @param {*} fallback - Default value
+ * @returns {*} Saved (or default) value
+ */
+function read(area, key, version, migrate, fallback) {
+    let saved;
+
+    try {
+        const json = area.getItem(key);
+        if (json == null) return fallback;
+
+        saved = JSON.parse(json);
+    } catch (e) {
+        console.warn('🐹 [persist] Couldn\'t read saved value, using the default: ', key, e);
+        return fallback;
+    }
+
+    const isEnvelope = saved !== null && typeof saved === 'object' && 'version' in saved && 'value' in saved;
+    const savedVersion = isEnvelope ? saved.version : undefined;
+    const savedValue = isEnvelope ? saved.value : saved;
+
+    if (savedVersion === version) return savedValue;
+    if (!migrate) return fallback;
+
+    try {
+        return migrate(savedValue, savedVersion);
+    } catch (e) {
+        console.error('🐹 [persist] Migration failed, using the default: ', key, e);
+        return fallback;
+    }
+};
+
+/**
+ * getDefaultStorage
+ * -----------------
+ * Gets localStorage, if it's available (it isn't outside browsers, and
+ * accessing it can throw when storage is blocked).
+ * 
+ * @returns {Storage|null} localStorage, or null
+ */
+function getDefaultStorage() {
+    try {
+        return globalThis.localStorage || null;
+    } catch (e) {
+        return null;
+    }
+};
@@ -14,10 +14,80 @@
 let currentEffect = null;
 
 /**
- * Stack of effects (handles nested effects properly)
- * @type {Array<Function>}
+ * Current owner (effect or root) that new effects and `onCleanup` callbacks 
+ * belong to. Owners dispose everything they own when they re-run or are disposed.
+ * @type {Object|null}
  */
-const effectStack = [];
+let currentOwner = null;
+
+/**
+ * Effects waiting to re-run (a Set, so each effect runs once per flush)
+ * @type {Set<Function>}
+ */
+const queue = new Set();
+
+/**
+ * How many batches are currently open (effects only flush once this is 0)
+ * @type {number}
+ */
+let batchDepth = 0;
+
+/**
+ * Whether queued effects are currently being run
+ * @type {boolean}
+ */
+let isFlushing = false;
+
+/**
+ * Whether a microtask flush has been scheduled
+ * @type {boolean}
+ */
+let isFlushPending = false;
+
+/**
+ * When to flush queued effects: 'sync' (as soon as the outermost batch ends) 
+ * or 'microtask' (once the current task yields)
+ * @type {string}
+ */
+let schedulerMode = 'sync';
+
+/**
+ * Called with errors thrown by effects re-running (see `setErrorHandler`)
+ * @type {Function|null}
+ */
+let errorHandler = null;
+
+/**
+ * Incrementing effect id. Effects are created parent-first, so running 
+ * queued effects in id order runs parents before the children they own.
+ * @type {number}
+ */
+let nextEffectId = 0;
+
+/**
+ * Maximum flush passes before assuming effects are triggering each other forever
+ * @type {number}
+ */
+const MAX_FLUSH_PASSES = 100;
+
+/**
+ * Callbacks notified of every signal and store write (see `onWrite`)
+ * @type {Set<Function>}
+ */
+const writeListeners = new Set();
+
+/**
+ * Effects created by the function `collectEffects` is running, and the owner
+ * they must belong to (effects nested in other effects or roots are skipped)
+ * @type {Object|null}
+ */
+let collector = null;
+
+/**
+ * Maps effect dispose functions to their effects (see `getEffectInfo`)
+ * @type {WeakMap<Function, Function>}
+ */
+const effects = new WeakMap();
 
 /**
  * createSignal
@@ -35,21 +105,45 @@ const effectStack = [];
  * 
  * ```
  * @param {*} initialValue - The initial value for the signal
+ * @param {string} [name] - Optional name (reported to `onWrite` listeners)
  * @returns {Array} Tuple of [getter, setter] functions
  */
-export function createSignal(initialValue) {
+export function createSignal(initialValue, name) {
+    const [getter, setter] = createSource(initialValue);
+
+    const write = (newValue) => {
+        // Report the write (only worth reading the old value if anyone's listening)
+        if (typeof __DEV__ !== 'undefined' && __DEV__ && writeListeners.size) {
+            const oldValue = untracked(getter);
+            if (!Object.is(oldValue, newValue)) notifyWrite({ type: 'signal', name, target: null, value: newValue, oldValue });
+        }
+
+        setter(newValue);
+    };
+
+    return [getter, write];
+};
+
+/**
+ * createSource
+ * ------------
+ * The signal behind `createSignal`, memos and store properties. Writes
+ * aren't reported to `onWrite` listeners (store writes are reported by the
+ * store itself, and memos' internal version bumps aren't writes).
+ * 
+ * @param {*} initialValue - The initial value for the signal
+ * @returns {Array} Tuple of [getter, setter] functions
+ */
+function createSource(initialValue) {
     let value = initialValue;
     const subscribers = new Set();
 
     const getter = () => {
-        // If called within an effect, auto-subscribe
+        // If called within an effect, auto-subscribe (and let the effect 
+        // know its source, so it can unsubscribe before re-running)
         if (currentEffect) {
             subscribers.add(currentEffect);
-            
-            // Register cleanup to remove this effect from subscribers
-            if (currentEffect.cleanup) {
-                currentEffect.cleanup.add(() => subscribers.delete(currentEffect));
-            }
+            currentEffect.sources.add(subscribers);
         }
         return value;
     };
@@ -59,18 +153,17 @@ export function createSignal(initialValue) {
         if (Object.is(value, newValue)) return;
         
         value = newValue;
-        
-        // Copy subscribers to prevent unwanted behaviour when resetting
-        const subs = Array.from(subscribers);
-
-        // Clear before running to prevent re-subscription during update
-        subscribers.clear();
 
-        // Run effects after updating value to prevent infinite loops
-        subs.forEach(fn => {
-            subscribers.add(fn); // Re-add after clearing
-            fn();
-        });
+        // Memos are marked stale straight away (so they're never read stale),
+        // effects are queued (so each runs once, even if several signals change).
+        // Batched, so nothing runs until every subscriber has been marked
+        batch(() => Array.from(subscribers).forEach(fn => {
+            if (fn.isMemo) {
+                fn();
+            } else {
+                queue.add(fn);
+            }
+        }));
     };
 
     return [getter, setter];
@@ -83,10 +176,15 @@ export function createSignal(initialValue) {
  * any signal used inside it changes.
  * 
  * The effect automatically tracks which signals it depends on by
- * monitoring signal reads during execution. When any dependency changes,
- * the effect re-runs.
+ * monitoring signal reads during execution. Dependencies are re-tracked on 
+ * every run, so signals no longer read stop triggering the effect.
+ * 
+ * Effects own the effects created inside them: before re-running (and when 
+ * disposed), an effect disposes its child effects and runs its `onCleanup` 
+ * callbacks.
  * 
- * Supports nested effects properly using an effect stack to preserve context.
+ * Signals set while an effect runs are batched: effects depending on them
+ * re-run (once each) after it finishes.
  * 
  * Returns a dispose function to stop the effect and cleanup subscriptions.
  * 
@@ -104,39 +202,773 @@ export function createSignal(initialValue) {
  * @returns {Function} Function to cleanup and stop the effect
  */
 export function createEffect(fn) {
-    let isDisposed = false;
-    const cleanupFunctions = new Set();
+    const owner = currentOwner;
 
     const effect = () => {
-        if (isDisposed) return;
+        if (effect.isDisposed) return;
+
+        effect.runs++;
 
-        // Save current effect and push to stack (handles nested effects)
+        // Release everything from the previous run (child effects, cleanups, subscriptions)
+        cleanOwner(effect);
+
+        // Save current effect/owner and make this effect current (handles nested effects)
+        const previousEffect = currentEffect;
+        const previousOwner = currentOwner;
         currentEffect = effect;
-        effectStack.push(effect);
+        currentOwner = effect;
+
+        // Batch signal writes made by the effect
+        batchDepth++;
         
         try {
             fn();
         } finally {
             // Restore previous effect context
-            effectStack.pop();
-            currentEffect = effectStack[effectStack.length - 1] || null;
+            currentEffect = previousEffect;
+            currentOwner = previousOwner;
+
+            batchDepth--;
+            scheduleFlush();
         }
     };
 
-    // Store cleanup functions so signals can add unsubscribe callbacks
-    effect.cleanup = cleanupFunctions;
+    // Signals (subscriber sets) read during the last run
+    effect.sources = new Set();
+
+    // Disposers of effects created during the last run
+    effect.owned = new Set();
+
+    // Callbacks registered with onCleanup during the last run
+    effect.cleanups = [];
+
+    // Store id so queued effects run in creation (parent before child) order
+    effect.id = nextEffectId++;
+
+    // Debugging info (see getEffectInfo)
+    effect.runs = 0;
+    effect.isDisposed = false;
 
     const dispose = () => {
-        isDisposed = true;
+        if (effect.isDisposed) return;
+
+        effect.isDisposed = true;
+        queue.delete(effect);
+
+        // Dispose child effects, run cleanups and remove effect from all signal subscribers
+        cleanOwner(effect);
 
-        // Run all cleanup functions (removes effect from all signal subscribers)
-        cleanupFunctions.forEach(fn => fn());
-        cleanupFunctions.clear();
+        // No need for the owner to dispose this effect anymore
+        owner?.owned.delete(dispose);
     };
 
+    // Dispose along with the owner (if created inside an effect or root)
+    owner?.owned.add(dispose);
+
+    // Debugging info is only kept in the dev build (see getEffectInfo)
+    if (typeof __DEV__ !== 'undefined' && __DEV__) effects.set(dispose, effect);
+
+    // Created directly by a function collectEffects is running
+    if (collector && collector.owner === owner) {
+        collector.effects.push(dispose);
+    }
+
     // Run immediately to establish initial dependencies
     effect();
 
     // Return cleanup 
     return dispose;
-};
\ No newline at end of file
+};
+
+/**
+ * createRoot
+ * ----------
+ * Creates an owner scope for effects that aren't owned by an effect.
+ * Runs `fn` untracked, passing it a dispose function that disposes every 
+ * effect (and `onCleanup` callback) created inside.
+ * 
+ * Example:
+ * ```js
+ *   const [count, setCount] = createSignal(0);
+ *   const dispose = createRoot((dispose) => {
+ *     createEffect(() => console.log(count()));
+ *     return dispose;
+ *   });
+ *   dispose(); // The effect is disposed with the root
+ * 
+ * ```
+ * @param {Function} fn - Function receiving the root's dispose function
+ * @returns {*} Result of the function
+ */
+export function createRoot(fn) {
+    const root = { owned: new Set(), cleanups: [] };
+
+    const previousEffect = currentEffect;
+    const previousOwner = currentOwner;
+    currentEffect = null;
+    currentOwner = root;
+
+    try {
+        return fn(() => cleanOwner(root));
+    } finally {
+        currentEffect = previousEffect;
+        currentOwner = previousOwner;
+    }
+};
+
+/**
+ * onCleanup
+ * ---------
+ * Registers a callback on the current effect (or root). It runs before the 
+ * effect re-runs, and when the effect is disposed. Use it to release 
+ * timers, listeners, etc. set up by the effect.
+ * 
+ * Example:
+ * ```js
+ *   createEffect(() => {
+ *     const id = setInterval(() => console.log(count()), 1000);
+ *     onCleanup(() => clearInterval(id));
+ *   });
+ * 
+ * ```
+ * @param {Function} fn - Cleanup callback
+ */
+export function onCleanup(fn) {
+    if (!currentOwner) {
+        console.warn('🐹 [onCleanup] Called outside an effect or root, so it will never run.');
+        return;
+    }
+
+    currentOwner.cleanups.push(fn);
+};
+
+/**
+ * cleanOwner
+ * ----------
+ * Releases everything an owner (effect or root) holds: disposes owned effects,
+ * runs cleanup callbacks (last registered first), and unsubscribes from signals.
+ * 
+ * @param {Object|Function} owner - Effect or root to clean
+ */
+function cleanOwner(owner) {
+    Array.from(owner.owned).forEach(dispose => dispose());
+    owner.owned.clear();
+
+    owner.cleanups.splice(0).reverse().forEach(fn => fn());
+
+    owner.sources?.forEach(subscribers => subscribers.delete(owner));
+    owner.sources?.clear();
+};
+
+/**
+ * batch
+ * -----
+ * Runs a function, deferring effects until it has finished. Effects depending 
+ * on several signals set inside the batch run once, seeing the final values.
+ * 
+ * h-on handlers and h-init are batched automatically (their synchronous part).
+ * 
+ * Example:
+ * ```js
+ *   const [first, setFirst] = createSignal('Whiskers');
+ *   const [last, setLast] = createSignal('McFluff');
+ *   createEffect(() => console.log(`${first()} ${last()}`)); // logs: Whiskers McFluff
+ *   batch(() => {
+ *     setFirst('Nibbles');
+ *     setLast('Squeakington');
+ *   }); // logs once: Nibbles Squeakington
+ * 
+ * ```
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of the function
+ */
+export function batch(fn) {
+    batchDepth++;
+
+    try {
+        return fn();
+    } finally {
+        batchDepth--;
+        scheduleFlush();
+    }
+};
+
+/**
+ * nextTick
+ * --------
+ * Returns a promise that resolves once pending effects (and so DOM updates) 
+ * have run. Optionally takes a callback to run at that point.
+ * 
+ * Example:
+ * ```js
+ *   setCount(5);
+ *   await nextTick();
+ *   console.log(el.textContent); // "5"
+ * 
+ * ```
+ * @param {Function} [fn] - Optional callback to run after the flush
+ * @returns {Promise} Promise resolving (with the callback's result) after the flush
+ */
+export function nextTick(fn) {
+    return Promise.resolve().then(() => {
+        flush();
+        return fn ? fn() : undefined;
+    });
+};
+
+/**
+ * setScheduler
+ * ------------
+ * Sets when queued effects are flushed:
+ * - `'sync'` (default) - as soon as the signal is set (or the outermost batch ends)
+ * - `'microtask'` - once the current task yields (use `nextTick` to wait for the DOM)
+ * 
+ * @param {string} mode - Either 'sync' or 'microtask'
+ */
+export function setScheduler(mode) {
+    if (mode !== 'sync' && mode !== 'microtask') {
+        console.warn(`🐹 [setScheduler] Unknown mode "${mode}", expected 'sync' or 'microtask'.`);
+        return;
+    }
+
+    schedulerMode = mode;
+};
+
+/**
+ * setErrorHandler
+ * ---------------
+ * Sets what happens to errors thrown by effects re-running (they're logged 
+ * by default). hamsterio's directives set it, so these errors reach the 
+ * `error` hook (and `onError`) like any other.
+ * 
+ * @param {Function|null} handler - Called with the error (null to just log them)
+ */
+export function setErrorHandler(handler) {
+    errorHandler = handler;
+};
+
+/**
+ * scheduleFlush
+ * -------------
+ * Flushes queued effects now, or in a microtask, depending on the scheduler 
+ * mode. Does nothing while a batch is open or a flush is already running.
+ */
+function scheduleFlush() {
+    if (batchDepth > 0 || isFlushing || !queue.size) return;
+
+    if (schedulerMode === 'sync') {
+        flush();
+        return;
+    }
+
+    if (isFlushPending) return;
+    isFlushPending = true;
+
+    Promise.resolve().then(() => {
+        isFlushPending = false;
+        flush();
+    });
+};
+
+/**
+ * flush
+ * -----
+ * Runs queued effects in id order (parents before children), each once.
+ * Effects queued while flushing (by effects setting signals) run in the 
+ * next pass, until nothing is left.
+ */
+function flush() {
+    if (isFlushing) return;
+    isFlushing = true;
+
+    try {
+        let passes = 0;
+
+        while (queue.size) {
+            if (++passes > MAX_FLUSH_PASSES) {
+                console.error('🐹 [flush] Effects keep triggering each other, stopping to prevent an infinite loop.');
+                queue.clear();
+                break;
+            }
+
+            const effects = Array.from(queue).sort((a, b) => a.id - b.id);
+
+            effects.forEach(effect => {
+                // Skip effects already run (or disposed) earlier in this pass
+                if (!queue.has(effect)) return;
+
+                queue.delete(effect);
+
+                // Keep flushing the rest, even if one effect fails
+                try {
+                    effect();
+                } catch (e) {
+                    if (errorHandler) {
+                        errorHandler(e);
+                    } else {
+                        console.error('🐹 [flush] Effect error: ', e);
+                    }
+                }
+            });
+        }
+    } finally {
+        isFlushing = false;
+    }
+};
+
+/**
+ * createMemo
+ * ----------
+ * Creates a computed (derived) value. Returns a getter.
+ * 
+ * The value is cached and only recomputed when one of the signals it read 
+ * has changed. Recomputing is lazy: a change just marks the memo as stale 
+ * and notifies its subscribers, and the value is recomputed on the next read.
+ * 
+ * Reading a memo inside a createEffect subscribes the effect, like a signal.
+ * 
+ * Memos created inside an effect or root are disposed with it: they stop 
+ * tracking their dependencies (and are recomputed on every read from then on).
+ * 
+ * Example:
+ * ```js
+ *   const [items, setItems] = createSignal([1, 2, 3]);
+ *   const total = createMemo(() => items().reduce((sum, n) => sum + n, 0));
+ *   createEffect(() => console.log(total())); // logs: 6
+ *   setItems([1, 2]); // logs: 3
+ * 
+ * ```
+ * @param {Function} fn - Function computing the value
+ * @returns {Function} Getter returning the (cached) value
+ */
+export function createMemo(fn) {
+    let value;
+    let isStale = true;
+    let version = 0;
+
+    // Signal used to notify subscribers that the memo has gone stale
+    const [track, notify] = createSource(version);
+
+    // Subscribed to the memo's dependencies in place of an effect
+    const markStale = () => {
+        if (isStale) return;
+
+        isStale = true;
+        notify(++version);
+    };
+
+    // Signals (subscriber sets) read during the last computation
+    markStale.sources = new Set();
+
+    // Flag so signals mark the memo stale immediately, rather than queueing it
+    markStale.isMemo = true;
+
+    // Stop tracking along with the owner (e.g. a component's getters, when it's cleaned up)
+    let isDisposed = false;
+    currentOwner?.cleanups.push(() => {
+        isDisposed = true;
+        markStale.sources.forEach(subscribers => subscribers.delete(markStale));
+        markStale.sources.clear();
+    });
+
+    return () => {
+        if (isDisposed) return fn();
+
+        if (isStale) {
+            // Drop dependencies from the previous computation
+            markStale.sources.forEach(subscribers => subscribers.delete(markStale));
+            markStale.sources.clear();
+
+            // Recompute with markStale as the current effect, so dependencies subscribe to it
+            const previousEffect = currentEffect;
+            currentEffect = markStale;
+
+            try {
+                value = fn();
+                isStale = false;
+            } finally {
+                // Restore previous effect context
+                currentEffect = previousEffect;
+            }
+        }
+
+        // Subscribe the reader (if within an effect)
+        track();
+
+        return value;
+    };
+};
+
+/**
+ * Key used to track iteration over a store object's keys (e.g. `Object.keys`, `for...in`)
+ * @type {symbol}
+ */
+const ITERATE_KEY = Symbol('iterate');
+
+/**
+ * Array methods that mutate in place (reading what they write). These run 
+ * untracked, so an effect calling e.g. `todos.push()` doesn't subscribe to (and 
+ * re-trigger) itself, and batched, so effects run once per call - not once per
+ * element moved (and never on a half-sorted array).
+ * @type {Array<string>}
+ */
+const arrayMutators = ['push', 'pop', 'shift', 'unshift', 'splice', 'reverse', 'sort', 'fill', 'copyWithin'];
+
+/**
+ * Maps raw objects to their store proxies (so each object gets one proxy)
+ * @type {WeakMap}
+ */
+const storeProxies = new WeakMap();
+
+/**
+ * Maps store proxies back to their raw objects
+ * @type {WeakMap}
+ */
+const storeTargets = new WeakMap();
+
+/**
+ * Per-property dependencies for each raw object (raw -> Map<key, dep>)
+ * @type {WeakMap}
+ */
+const storeDeps = new WeakMap();
+
+/**
+ * createStore
+ * -----------
+ * Creates a deeply reactive object (store). Returns a proxy of the object.
+ * 
+ * Reading any property (at any depth) inside a createEffect subscribes the 
+ * effect to that property only. Writing a property, adding/deleting keys, or 
+ * mutating arrays (push, splice, etc.) re-runs just the effects that read it.
+ * 
+ * Only plain objects and arrays are made reactive. Other values (class 
+ * instances, Dates, Maps, DOM nodes, etc.) are returned as they are.
+ * 
+ * Example:
+ * ```js
+ *   const state = createStore({ user: { name: 'Whiskers' }, todos: [] });
+ *   createEffect(() => console.log(state.user.name)); // logs: Whiskers
+ *   state.user.name = 'Nibbles'; // logs: Nibbles
+ *   state.todos.push('Feed hamster'); // doesn't log, the effect never read todos
+ * 
+ * ```
+ * @param {Object|Array} initialValue - The object to make reactive
+ * @returns {Proxy} Reactive proxy of the object
+ */
+export function createStore(initialValue) {
+    if (!isObservable(initialValue)) {
+        console.warn('🐹 [createStore] Only plain objects and arrays can be made reactive: ', initialValue);
+        return initialValue;
+    }
+
+    return reactive(initialValue);
+};
+
+/**
+ * isObservable
+ * ------------
+ * Checks whether a value can be wrapped in a store (plain objects and arrays).
+ * 
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value can be made reactive
+ */
+function isObservable(value) {
+    if (value === null || typeof value !== 'object') return false;
+    if (Array.isArray(value)) return true;
+
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+};
+
+/**
+ * toRaw
+ * -----
+ * Returns the raw object behind a store proxy (or the value itself if it isn't one).
+ * 
+ * @param {*} value - Store proxy or any value
+ * @returns {*} Raw value
+ */
+function toRaw(value) {
+    return (value && storeTargets.get(value)) || value;
+};
+
+/**
+ * untracked
+ * ---------
+ * Runs a function without subscribing the current effect to anything it reads.
+ * 
+ * Example:
+ * ```js
+ *   createEffect(() => {
+ *       // Re-runs when count changes, but not when step does
+ *       console.log(count() + untracked(() => step()));
+ *   });
+ * 
+ * ```
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of the function
+ */
+export function untracked(fn) {
+    const previousEffect = currentEffect;
+    currentEffect = null;
+
+    try {
+        return fn();
+    } finally {
+        currentEffect = previousEffect;
+    }
+};
+
+/**
+ * track
+ * -----
+ * Subscribes the current effect (if any) to a property of a raw object.
+ * Dependencies are version-counting signals, created lazily on first read.
+ * 
+ * @param {Object} target - Raw object
+ * @param {string|symbol} key - Property being read
+ */
+function track(target, key) {
+    if (!currentEffect) return;
+
+    let deps = storeDeps.get(target);
+    if (!deps) {
+        deps = new Map();
+        storeDeps.set(target, deps);
+    }
+
+    let dep = deps.get(key);
+    if (!dep) {
+        const [get, set] = createSource(0);
+        dep = { version: 0, get, set };
+        deps.set(key, dep);
+    }
+
+    dep.get();
+};
+
+/**
+ * trigger
+ * -------
+ * Re-runs effects subscribed to a property of a raw object.
+ * 
+ * @param {Object} target - Raw object
+ * @param {string|symbol} key - Property that changed
+ */
+function trigger(target, key) {
+    const dep = storeDeps.get(target)?.get(key);
+    if (!dep) return;
+
+    dep.set(++dep.version);
+};
+
+/**
+ * reactive
+ * --------
+ * Wraps a raw object in a (cached) deeply reactive proxy.
+ * 
+ * @param {Object|Array} target - Raw object to wrap
+ * @returns {Proxy} Reactive proxy
+ */
+function reactive(target) {
+    target = toRaw(target);
+
+    if (storeProxies.has(target)) return storeProxies.get(target);
+
+    const isArray = Array.isArray(target);
+
+    const proxy = new Proxy(target, {
+        get(target, key) {
+            // Symbols (e.g. Symbol.iterator, Symbol.unscopables) aren't tracked
+            if (typeof key === 'symbol') return Reflect.get(target, key, proxy);
+
+            if (isArray && arrayMutators.includes(key)) {
+                return (...args) => untracked(() => batch(() => Array.prototype[key].apply(proxy, args)));
+            }
+
+            track(target, key);
+
+            // Getters run against the proxy, so their reads are tracked too
+            const value = Reflect.get(target, key, proxy);
+
+            // Nested objects are wrapped lazily, on first read
+            return isObservable(value) ? reactive(value) : value;
+        },
+
+        set(target, key, value) {
+            const hadKey = Object.prototype.hasOwnProperty.call(target, key);
+            const oldValue = target[key];
+            const oldLength = isArray ? target.length : 0;
+
+            // Always set through this proxy (not a receiver inheriting from it), so
+            // the property lands on the raw object and setters run reactively
+            const result = Reflect.set(target, key, toRaw(value), proxy);
+            const hasChanged = !hadKey || !Object.is(oldValue, target[key]);
+
+            if (typeof __DEV__ !== 'undefined' && __DEV__ && hasChanged && writeListeners.size) {
+                notifyWrite({ type: 'store', name: key, target: proxy, value: target[key], oldValue });
+            }
+
+            // One write runs each affected effect once, however many keys it touched
+            batch(() => {
+                if (!hadKey) {
+                    trigger(target, ITERATE_KEY);
+                }
+
+                if (hasChanged) {
+                    trigger(target, key);
+                }
+
+                if (isArray && target.length !== oldLength) {
+                    trigger(target, 'length');
+
+                    // Truncating an array removes the items past its new length
+                    for (let i = target.length; i < oldLength; i++) {
+                        trigger(target, String(i));
+                    }
+                }
+            });
+
+            return result;
+        },
+
+        deleteProperty(target, key) {
+            const hadKey = Object.prototype.hasOwnProperty.call(target, key);
+            const oldValue = target[key];
+            const result = Reflect.deleteProperty(target, key);
+
+            if (hadKey && result) {
+                if (typeof __DEV__ !== 'undefined' && __DEV__ && writeListeners.size) {
+                    notifyWrite({ type: 'store', name: key, target: proxy, value: undefined, oldValue });
+                }
+
+                batch(() => {
+                    trigger(target, key);
+                    trigger(target, ITERATE_KEY);
+                });
+            }
+
+            return result;
+        },
+
+        has(target, key) {
+            if (typeof key !== 'symbol') {
+                track(target, key);
+            }
+
+            return Reflect.has(target, key);
+        },
+
+        ownKeys(target) {
+            track(target, isArray ? 'length' : ITERATE_KEY);
+            return Reflect.ownKeys(target);
+        },
+    });
+
+    storeProxies.set(target, proxy);
+    storeTargets.set(proxy, target);
+
+    return proxy;
+};
+
+/**
+ * onWrite
+ * -------
+ * Subscribes to every signal and store write, for debugging (e.g. to find 
+ * out what keeps changing a value). The callback gets `{ type, name, target,
+ * value, oldValue, stack }`:
+ * - `type` is "signal" or "store"
+ * - `name` is the signal's name (if it was given one) or the store property
+ * - `target` is the store (proxy) written to (null for signals)
+ * - `stack` is the stack trace of the write
+ * 
+ * Writes that don't change anything aren't reported. Capturing stack traces
+ * is slow, so writes are only reported in the dev build (`hamsterio/dev`).
+ * 
+ * Example:
+ * ```js
+ *   const stop = onWrite(({ name, value, stack }) => {
+ *       if (name === 'count') console.log('count =', value, stack);
+ *   });
+ * 
+ * ```
+ * @param {Function} fn - Callback
+ * @returns {Function} Function that unsubscribes
+ */
+export function onWrite(fn) {
+    if (!(typeof __DEV__ !== 'undefined' && __DEV__)) {
+        console.warn('🐹 [onWrite] Writes are only reported in the dev build (hamsterio/dev).');
+    }
+
+    writeListeners.add(fn);
+    return () => writeListeners.delete(fn);
+};
+
+/**
+ * notifyWrite
+ * -----------
+ * Reports a write (with the current stack trace) to the `onWrite` listeners.
+ * 
+ * @param {Object} write - Write details (`{ type, name, target, value, oldValue }`)
+ */
+function notifyWrite(write) {
+    const { stack } = new Error();
+
+    Array.from(writeListeners).forEach(fn => {
+        // Listeners run untracked, so reading signals doesn't subscribe the effect writing
+        try {
+            untracked(() => fn({ ...write, stack }));
+        } catch (e) {
+            console.error('🐹 [onWrite] Listener error: ', e);
+        }
+    });
+};
+
+/**
+ * collectEffects
+ * --------------
+ * Runs a function and returns the dispose functions of the effects it 
+ * created directly (not effects nested in those effects, or in roots).
+ * 
+ * @param {Function} fn - Function to run
+ * @returns {Array<Function>} Dispose functions of the created effects
+ */
+export function collectEffects(fn) {
+    const previous = collector;
+    collector = { owner: currentOwner, effects: [] };
+
+    try {
+        fn();
+        return collector.effects;
+    } finally {
+        collector = previous;
+    }
+};
+
+/**
+ * getEffectInfo
+ * -------------
+ * Describes an effect (by its dispose function), for debugging. Only 
+ * available in the dev build (`hamsterio/dev`); other builds return null.
+ * 
+ * Example:
+ * ```js
+ *   const dispose = createEffect(() => console.log(count()));
+ *   getEffectInfo(dispose); // { id: 0, runs: 1, dependencies: 1, children: 0, active: true }
+ * 
+ * ```
+ * @param {Function} dispose - Dispose function returned by `createEffect`
+ * @returns {Object|null} `{ id, runs, dependencies, children, active }`, or null if it isn't an effect
+ */
+export function getEffectInfo(dispose) {
+    const effect = effects.get(dispose);
+    if (!effect) return null;
+
+    return {
+        id: effect.id,
+        runs: effect.runs,
+        dependencies: effect.sources.size,
+        children: effect.owned.size,
+        active: !effect.isDisposed,
+    };
+};
@@ -0,0 +1,147 @@
+import { createStore, createMemo, createRoot } from "./signal.js";
+import { persistData } from "./persist.js";
+
+/**
+ * Global stores
+ * -------------
+ * Shared reactive state that any component can read and write via `$store`.
+ * Stores are plain signal-backed data, so they can be registered (and used)
+ * from JS modules before hamsterio initialises the DOM.
+ * 
+ * @module store
+ */
+
+/**
+ * Registry of all stores, itself reactive, so expressions reading 
+ * `$store.name` update even if the store is registered later.
+ * @type {Proxy}
+ */
+export const stores = createStore({});
+
+/**
+ * store
+ * -----
+ * Registers a global store, or returns an existing one when called without a value.
+ * Stores are available in every expression as `$store.name`.
+ * 
+ * Objects are deeply reactive, with methods bound to the store and getters 
+ * turned into computed properties (like h-data). Other values (e.g. booleans) 
+ * are reactive when reassigned (`$store.darkMode = true`).
+ * 
+ * Example:
+ * ```js
+ *   hamsterio.store('cart', {
+ *     items: [],
+ *     get count() { return this.items.length },
+ *     add(item) { this.items.push(item) },
+ *   });
+ * 
+ * ```
+ * ```html
+ *   <span h-text="$store.cart.count"></span>
+ *   <button h-on:click="$store.cart.add('seeds')">Add seeds</button>
+ * 
+ * ```
+ * @param {string} name - Store name
+ * @param {*} [value] - Initial value (omit to get an existing store)
+ * @returns {*} The store (reactive proxy for objects)
+ */
+export function store(name, value) {
+    if (value === undefined) {
+        return stores[name];
+    }
+
+    stores[name] = prepareData(value);
+
+    return stores[name];
+};
+
+/**
+ * removeStore
+ * -----------
+ * Removes a global store (expressions reading it get `undefined`).
+ * 
+ * @param {string} name - Store name
+ */
+export function removeStore(name) {
+    delete stores[name];
+};
+
+/**
+ * prepareData
+ * -----------
+ * Makes a data object deeply reactive, binds its methods to the reactive
+ * data (so `this.count++` is reactive too) and turns its getters into computed
+ * properties (cached until a value they read changes). Used for h-data and stores.
+ * 
+ * Properties marked with `persist` are restored from (and saved to) storage.
+ * 
+ * With parent data, the result is a scope that also reads (and writes) the 
+ * parent's keys (see `createScope`). Objects that are already reactive (e.g. 
+ * `h-data="item"` or `h-data="$store.cart"`) are shared, so they're scoped 
+ * but otherwise left as they are.
+ * 
+ * @param {*} data - Data object or array (other values are returned as they are)
+ * @param {Array<Function>} [cleanup] - Array to add cleanup functions to (e.g. a context's)
+ * @param {Object} [parentData] - Data of the enclosing scope (e.g. a parent h-data's)
+ * @returns {*} Reactive proxy of the data object (or a scope around it)
+ */
+export function prepareData(data, cleanup = null, parentData = null) {
+    if (data === null || typeof data !== 'object') return data;
+    if (Array.isArray(data)) return createStore(data);
+
+    const proxy = createStore(data);
+    const scope = parentData ? createScope(proxy, parentData) : proxy;
+
+    if (proxy === data) return scope;
+
+    // Getters' memos belong to a root, disposed with the data (if it can be cleaned up)
+    createRoot(dispose => {
+        if (cleanup) cleanup.push(dispose);
+
+        for (const [key, descriptor] of Object.entries(Object.getOwnPropertyDescriptors(data))) {
+            // Bind methods to the reactive data
+            if (typeof descriptor.value === 'function') {
+                data[key] = descriptor.value.bind(scope);
+            }
+
+            // Turn getters into computed properties, e.g. `get total() { return this.items.length }`
+            if (descriptor.get) {
+                Object.defineProperty(data, key, {
+                    ...descriptor,
+                    get: createMemo(() => descriptor.get.call(scope)),
+                });
+            }
+        }
+    });
+
+    // Restore and save persisted properties (for as long as the data lives)
+    const stopPersisting = persistData(data, proxy);
+    if (cleanup) cleanup.push(stopPersisting);
+
+    return scope;
+};
+
+/**
+ * createScope
+ * -----------
+ * Chains data to its enclosing scope, without changing either object: names
+ * the data doesn't have resolve through the parent scopes, and writes go to 
+ * the scope that owns the key (new keys are added to the data).
+ * 
+ * @param {Proxy} data - Reactive data
+ * @param {Object} parentData - Data of the enclosing scope
+ * @returns {Proxy} Scope
+ */
+function createScope(data, parentData) {
+    const owner = (key) => (key in data || !(key in parentData) ? data : parentData);
+
+    return new Proxy(data, {
+        get: (target, key) => owner(key)[key],
+        set: (target, key, value) => {
+            owner(key)[key] = value;
+            return true;
+        },
+        has: (target, key) => key in data || key in parentData,
+    });
+};
@@ -0,0 +1,285 @@
+import { init, cleanup, data as registerData, getData, store, removeStore, settled, nextTick } from "./index.js";
+
+/**
+ * Testing utilities
+ * -----------------
+ * Helpers for unit-testing components in jsdom (or any other DOM):
+ * `render` some HTML, `fire` events at it, `flush` until it's done updating,
+ * and assert. Rendered HTML is torn down after each test.
+ * 
+ * Imported from `hamsterio/testing`, which shares the `hamsterio` module
+ * (so directives, stores, etc. registered by your code are used).
+ * 
+ * Example:
+ * ```js
+ *   import { render, fire } from 'hamsterio/testing';
+ * 
+ *   test('counter', async () => {
+ *       const { get } = render('<div h-data="{ count: 0 }"><button h-on:click="count++" h-text="count"></button></div>');
+ *       await fire(get('button'), 'click');
+ *       expect(get('button').textContent).toBe('1');
+ *   });
+ * 
+ * ```
+ * @module testing
+ */
+
+/**
+ * Containers rendered (and not torn down yet), with their render id
+ * @type {Map<HTMLElement, number>}
+ */
+const mounted = new Map();
+
+/**
+ * Name of the data factory providing `render`'s `data` option
+ * @type {string}
+ */
+const DATA_FACTORY = '$renderData';
+
+/**
+ * `render`'s `data`, by render id (the factory gets the id)
+ * @type {Map<number, Object>}
+ */
+const renderData = new Map();
+
+/**
+ * Ids for `renderData`
+ * @type {number}
+ */
+let renderId = 0;
+
+/**
+ * Stores replaced by `render` (`undefined` if there was none), restored on teardown
+ * @type {Map<string, *>}
+ */
+const replacedStores = new Map();
+
+/**
+ * Event constructors for common event names (others are plain Events)
+ * @type {Object<string, string>}
+ */
+const eventTypes = {
+    click: 'MouseEvent',
+    dblclick: 'MouseEvent',
+    mousedown: 'MouseEvent',
+    mouseup: 'MouseEvent',
+    mousemove: 'MouseEvent',
+    mouseover: 'MouseEvent',
+    mouseout: 'MouseEvent',
+    mouseenter: 'MouseEvent',
+    mouseleave: 'MouseEvent',
+    contextmenu: 'MouseEvent',
+    keydown: 'KeyboardEvent',
+    keyup: 'KeyboardEvent',
+    keypress: 'KeyboardEvent',
+    focus: 'FocusEvent',
+    blur: 'FocusEvent',
+    focusin: 'FocusEvent',
+    focusout: 'FocusEvent',
+    input: 'InputEvent',
+    submit: 'SubmitEvent',
+};
+
+/**
+ * Events that don't bubble in browsers
+ * @type {Array<string>}
+ */
+const nonBubblingEvents = ['focus', 'blur', 'mouseenter', 'mouseleave'];
+
+/**
+ * render
+ * ------
+ * Renders HTML into a container on the page and initialises it. Options:
+ * - `data`: data for the HTML (available to every expression, like a parent h-data)
+ * - `stores`: global stores to register first (`{ name: value }`, see `store`)
+ * 
+ * Returns queries scoped to the container, and the rendered data.
+ * 
+ * Example:
+ * ```js
+ *   const { get, getByText, data } = render('<p h-text="greeting"></p>', {
+ *       data: { greeting: 'Hi!' },
+ *       stores: { user: { name: 'Whiskers' } },
+ *   });
+ * 
+ * ```
+ * @param {string} html - HTML to render
+ * @param {Object} [options] - `{ data, stores }`
+ * @returns {Object} `{ container, data, get, query, queryAll, getByText, queryByText, unmount }`
+ */
+export function render(html, { data, stores } = {}) {
+    if (typeof document === 'undefined') {
+        throw new Error('🐹 [render] No DOM found. Run your tests in a DOM environment (e.g. jsdom).');
+    }
+
+    Object.entries(stores || {}).forEach(([name, value]) => {
+        if (!replacedStores.has(name)) replacedStores.set(name, store(name));
+        store(name, value);
+    });
+
+    const container = document.createElement('div');
+    container.innerHTML = html;
+
+    // The data becomes the scope around the HTML (it's read when init runs)
+    const id = ++renderId;
+    if (data) {
+        renderData.set(id, data);
+        container.setAttribute('h-data', `${DATA_FACTORY}(${id})`);
+    }
+
+    document.body.appendChild(container);
+    mounted.set(container, id);
+
+    init(container);
+
+    const dataEl = data ? container : container.querySelector('[h-data]');
+
+    return {
+        container,
+        data: dataEl ? getData(dataEl) : null,
+        ...getQueries(container),
+        unmount: () => unmount(container),
+    };
+};
+
+/**
+ * getQueries
+ * ----------
+ * Builds the queries `render` returns, scoped to a container.
+ * 
+ * @param {HTMLElement} container - Container to query in
+ * @returns {Object} `{ get, query, queryAll, getByText, queryByText }`
+ */
+function getQueries(container) {
+    const query = (selector) => container.querySelector(selector);
+    const queryAll = (selector) => Array.from(container.querySelectorAll(selector));
+
+    const queryByText = (text) => {
+        const matches = queryAll('*').filter(el => matchesText(el, text));
+
+        // The innermost match (its parents contain the same text)
+        return matches.find(el => !matches.some(other => other !== el && el.contains(other))) || null;
+    };
+
+    const get = (selector) => {
+        const el = query(selector);
+        if (!el) throw new Error(`🐹 [render] No element matches "${selector}".`);
+        return el;
+    };
+
+    const getByText = (text) => {
+        const el = queryByText(text);
+        if (!el) throw new Error(`🐹 [render] No element has the text "${text}".`);
+        return el;
+    };
+
+    return { get, query, queryAll, getByText, queryByText };
+};
+
+/**
+ * matchesText
+ * -----------
+ * Checks whether an element's (trimmed) text is a string, or matches a regex.
+ * 
+ * @param {HTMLElement} el - Element to check
+ * @param {string|RegExp} text - Text to match
+ * @returns {boolean} Whether the element's text matches
+ */
+function matchesText(el, text) {
+    const content = el.textContent.trim();
+    return text instanceof RegExp ? text.test(content) : content === text;
+};
+
+/**
+ * fire
+ * ----
+ * Dispatches an event (bubbling and cancelable, like a user's would be) and
+ * waits for it to be handled (see `flush`). Pass `value` or `checked` to set
+ * them first, e.g. to type into an input bound with h-model.
+ * 
+ * Example:
+ * ```js
+ *   await fire(get('input'), 'input', { value: 'Nibbles' });
+ *   await fire(get('input'), 'keydown', { key: 'Enter' });
+ *   await fire(get('form'), new SubmitEvent('submit'));
+ * 
+ * ```
+ * @param {HTMLElement} el - Element to dispatch the event on
+ * @param {string|Event} event - Event name, or an Event to dispatch as it is
+ * @param {Object} [init] - Event init options (e.g. `{ key: 'Enter' }` or `{ detail }`), plus `value`/`checked`
+ * @returns {Promise} Promise resolving once handlers (incl. async ones) have finished
+ */
+export function fire(el, event, init = {}) {
+    const { value, checked, ...options } = init;
+
+    if (value !== undefined) el.value = value;
+    if (checked !== undefined) el.checked = checked;
+
+    if (typeof event === 'string') {
+        const view = el.ownerDocument.defaultView;
+        const type = 'detail' in options ? 'CustomEvent' : eventTypes[event];
+        const EventType = (type && view[type]) || view.Event;
+
+        event = new EventType(event, { bubbles: !nonBubblingEvents.includes(event), cancelable: true, ...options });
+    }
+
+    el.dispatchEvent(event);
+
+    return flush();
+};
+
+/**
+ * flush
+ * -----
+ * Waits until hamsterio is done updating: statements still running (async
+ * h-on handlers, h-init, etc.) have finished, and pending effects have run.
+ * 
+ * @returns {Promise} Promise resolving once everything has settled
+ */
+export async function flush() {
+    await settled();
+    await nextTick();
+
+    // Effects that just ran may have started statements (e.g. h-effect)
+    await settled();
+};
+
+/**
+ * unmount
+ * -------
+ * Cleans up a rendered container and removes it from the page.
+ * 
+ * @param {HTMLElement} container - Container returned by `render`
+ */
+function unmount(container) {
+    if (!mounted.has(container)) return;
+
+    cleanup(container);
+    container.remove();
+
+    renderData.delete(mounted.get(container));
+    mounted.delete(container);
+};
+
+/**
+ * teardown
+ * --------
+ * Cleans up everything rendered, and restores the stores `render` replaced 
+ * (or removes them, if there were none). Runs after each test automatically, when
+ * the test runner has a global `afterEach` (Jest, Vitest with globals, Mocha).
+ * With others, register it yourself (e.g. `afterEach(teardown)` with `node:test`).
+ */
+export function teardown() {
+    Array.from(mounted.keys()).forEach(unmount);
+
+    replacedStores.forEach((value, name) => (value === undefined ? removeStore(name) : store(name, value)));
+    replacedStores.clear();
+};
+
+// Provides `render`'s data (registered once, for every render)
+registerData(DATA_FACTORY, (id) => renderData.get(id));
+
+// Automatic teardown (with test runners that have a global afterEach)
+if (typeof afterEach === 'function') {
+    afterEach(teardown);
+}
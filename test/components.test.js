@@ -0,0 +1,178 @@
+import './setup.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { data, store, cleanup, observe } from '../src/index.js';
+import { render, fire, flush, teardown } from '../src/testing.js';
+
+afterEach(teardown);
+
+test('data factories are called with props, with init and destroy hooks', async () => {
+    const log = [];
+    data('dropdown', (props = {}) => ({
+        open: props.open ?? false,
+        toggle() { this.open = !this.open; },
+        init() { log.push('init'); },
+        destroy() { log.push('destroy'); },
+    }));
+
+    const { get, getByText, unmount } = render(`
+        <div h-data="dropdown({ open: true })">
+            <button h-on:click="toggle()">Menu</button>
+            <ul h-show="open"></ul>
+        </div>`);
+
+    assert.notEqual(get('ul').style.display, 'none');
+    await fire(getByText('Menu'), 'click');
+    assert.equal(get('ul').style.display, 'none');
+
+    unmount();
+    assert.deepEqual(log, ['init', 'destroy']);
+});
+
+test('h-use renders a component with reactive props and slots', async () => {
+    const { queryAll, getByText, data } = render(`
+        <template h-component="user-card">
+            <article>
+                <h3 h-text="user.name"></h3>
+                <div class="body"><slot><em>No bio</em></slot></div>
+                <footer><slot name="actions"></slot></footer>
+            </article>
+        </template>
+
+        <div h-data="{ users: [{ name: 'Hammy' }, { name: 'Whiskers' }], follows: 0 }">
+            <div h-use="user-card" h-props="{ user: users[0] }">
+                <p>Seed hoarder</p>
+                <template h-slot="actions"><button h-on:click="follows++">Follow</button></template>
+            </div>
+            <section h-use="user-card" h-props="{ user: users[1] }"></section>
+        </div>`);
+
+    assert.deepEqual(queryAll('h3').map(h3 => h3.textContent), ['Hammy', 'Whiskers']);
+    assert.deepEqual(queryAll('.body').map(body => body.textContent.trim()), ['Seed hoarder', 'No bio']);
+
+    // Slot content keeps the parent scope
+    await fire(getByText('Follow'), 'click');
+    assert.equal(data.follows, 1);
+
+    data.users[0].name = 'Nibbles';
+    assert.equal(queryAll('h3')[0].textContent, 'Nibbles');
+});
+
+test('props removed from h-props are reset', async () => {
+    const { get, data } = render(`
+        <template h-component="badge"><b h-text="label ?? 'none'"></b></template>
+        <div h-data="{ withLabel: true }">
+            <i h-use="badge" h-props="withLabel ? { label: 'VIP' } : {}"></i>
+        </div>`);
+
+    assert.equal(get('b').textContent, 'VIP');
+
+    data.withLabel = false;
+    await flush();
+    assert.equal(get('b').textContent, 'none');
+});
+
+test('each h-use instance has its own $refs and $id', async () => {
+    const { queryAll, getByText, data } = render(`
+        <template h-component="field">
+            <label h-bind:for="$id('f')"></label>
+            <input h-ref="input" h-bind:id="$id('f')">
+            <button h-on:click="$refs.input.value = 'Hi'">Fill</button>
+            <slot></slot>
+        </template>
+        <div h-data="{ slotted: false }">
+            <div h-use="field"></div>
+            <div h-use="field"><i h-ref="outer"></i></div>
+            <button h-on:click="slotted = !!$refs.outer">Check</button>
+        </div>`);
+    const inputs = queryAll('input');
+
+    assert.notEqual(inputs[0].id, inputs[1].id);
+    assert.deepEqual(queryAll('label').map(label => label.htmlFor), inputs.map(input => input.id));
+
+    await fire(queryAll('button')[0], 'click');
+    assert.deepEqual(inputs.map(input => input.value), ['Hi', '']);
+
+    await fire(getByText('Check'), 'click');
+    assert.equal(data.slotted, true);
+});
+
+test('global stores are shared between components', async () => {
+    store('cart', {
+        items: [],
+        get count() { return this.items.length; },
+        add(item) { this.items.push(item); },
+    });
+
+    const { get } = render(`
+        <div h-data><button h-on:click="$store.cart.add('seeds')">Add</button></div>
+        <div h-data><span h-text="$store.cart.count"></span></div>`);
+
+    await fire(get('button'), 'click');
+    assert.equal(get('span').textContent, '1');
+    assert.equal(store('cart').count, 1);
+});
+
+test('$persist restores, saves and migrates values', () => {
+    localStorage.setItem('hamsterio:theme', JSON.stringify({ version: 0, value: 'dark' }));
+    localStorage.setItem('settings', JSON.stringify({ favouriteSnacks: ['seeds'] }));
+
+    const { data } = render(`
+        <div h-data="{
+            theme: $persist('light').as('hamsterio:theme'),
+            settings: $persist({ snacks: [] }).as('settings').version(2, old => ({ snacks: old.favouriteSnacks })),
+        }"></div>`);
+
+    assert.equal(data.theme, 'dark');
+    assert.deepEqual([...data.settings.snacks], ['seeds']);
+
+    data.theme = 'light';
+    data.settings.snacks.push('carrot');
+    assert.deepEqual(JSON.parse(localStorage.getItem('hamsterio:theme')), { version: 0, value: 'light' });
+    assert.deepEqual(JSON.parse(localStorage.getItem('settings')), { version: 2, value: { snacks: ['seeds', 'carrot'] } });
+});
+
+test('getters are not run before their data is ready', async () => {
+    const { get, data } = render(`
+        <div h-data="{ a: 5 }">
+            <div h-data="{ get dbl() { return this.a * 2 }, user: null, get name() { return this.user.name } }">
+                <p h-text="dbl"></p>
+            </div>
+        </div>`);
+
+    assert.equal(get('p').textContent, '10');
+
+    data.a = 6;
+    await flush();
+    assert.equal(get('p').textContent, '12');
+});
+
+test('h-ref collects elements in $refs (as arrays inside h-for)', async () => {
+    const { data } = render(`
+        <div h-data="{ items: [1, 2], count: 0 }" h-init="await $nextTick(); count = $refs.items.length + ($refs.title ? 1 : 0)">
+            <h1 h-ref="title"></h1>
+            <template h-for="item in items"><i h-ref="items"></i></template>
+        </div>`);
+
+    await flush();
+    assert.equal(data.count, 3);
+});
+
+test('cleanup stops effects, and observe inits and cleans up added content', async () => {
+    const { container, get, data } = render('<div h-data="{ count: 0 }"><p h-text="count"></p></div>');
+    const p = get('p');
+
+    cleanup(container.firstElementChild);
+    data.count = 5;
+    assert.equal(p.textContent, '0');
+
+    const stop = observe(container);
+    try {
+        container.insertAdjacentHTML('beforeend', '<div h-data="{ name: \'Hammy\' }"><b h-text="name"></b></div>');
+        await flush();
+        await new Promise(resolve => setTimeout(resolve));
+        assert.equal(get('b').textContent, 'Hammy');
+    } finally {
+        stop();
+    }
+});
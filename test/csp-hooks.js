@@ -0,0 +1,9 @@
+// Module resolution hooks (see csp.js): hamsterio's own imports of the
+// evaluator get the interpreter instead. Tests importing it directly don't.
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier === './evaluator.js' && context.parentURL?.includes('/src/')) {
+        return nextResolve('./evaluator.csp.js', context);
+    }
+
+    return nextResolve(specifier, context);
+};
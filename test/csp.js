@@ -0,0 +1,5 @@
+import { register } from 'node:module';
+
+// Runs the tests against the CSP build's interpreter (`--import ./test/csp.js`), 
+// swapping the evaluator like the build does
+register('./csp-hooks.js', import.meta.url);
@@ -0,0 +1,2 @@
+// Runs the source like the dev build does (devtools, write reporting and dev warnings)
+globalThis.__DEV__ = true;
@@ -0,0 +1,83 @@
+import './setup.js';
+import './dev.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { devtools } from '../src/index.js';
+import { render, fire, teardown } from '../src/testing.js';
+
+afterEach(teardown);
+
+const html = `
+    <div id="app" h-data="{ count: 1, user: { name: 'Hammy' }, get double() { return this.count * 2 }, inc() { this.count++ } }">
+        <p h-text="count + user.name" h-on:click="inc()"></p>
+        <ul><template h-for="tag in ['a', 'b']"><li h-text="tag"></li></template></ul>
+    </div>
+    <section h-data="{}"></section>`;
+
+test('roots lists the root components', () => {
+    render(html);
+    assert.deepEqual(devtools.roots().map(el => el.tagName), ['DIV', 'SECTION']);
+});
+
+test('scope and snapshot show the data an element uses', () => {
+    const { get, queryAll } = render(html);
+
+    assert.equal(devtools.scope(get('p')), get('#app'));
+    assert.deepEqual(devtools.snapshot(get('p')), { count: 1, user: { name: 'Hammy' }, double: 2 });
+    assert.deepEqual(devtools.snapshot(queryAll('li')[1]), { tag: 'b', index: 1 });
+    assert.equal(devtools.snapshot(document.body), null);
+});
+
+test('effects lists directives with their effects and dependencies', async () => {
+    const { get } = render(html);
+    await fire(get('p'), 'click');
+
+    assert.deepEqual(devtools.effects(get('p')).map(({ directive, expression, effects }) => ({
+        directive,
+        expression,
+        effects: effects.map(({ runs, dependencies, active }) => ({ runs, dependencies, active })),
+    })), [
+        { directive: 'h-text', expression: 'count + user.name', effects: [{ runs: 2, dependencies: 3, active: true }] },
+        { directive: 'h-on:click', expression: 'inc()', effects: [] },
+    ]);
+});
+
+test('stats counts live contexts, directives and effects', () => {
+    const { container, unmount } = render(html);
+
+    // Contexts: #app, section and 2 rows. Effects: h-text, h-for and the rows' h-text
+    const stats = devtools.stats(container);
+    assert.equal(stats.contexts, 4);
+    assert.equal(stats.effects, 4);
+
+    unmount();
+    assert.deepEqual(devtools.stats(container), { contexts: 0, directives: 0, effects: 0, dependencies: 0 });
+});
+
+test('onWrite reports h-data writes', async () => {
+    const { get } = render(html);
+    const writes = [];
+    const stop = devtools.onWrite(({ type, name, value, oldValue }) => writes.push({ type, name, value, oldValue }));
+
+    await fire(get('p'), 'click');
+    stop();
+
+    assert.deepEqual(writes, [{ type: 'store', name: 'count', value: 2, oldValue: 1 }]);
+});
+
+test('inspect shows an overlay with the scope, kept up to date', () => {
+    const { get, data } = render(html);
+
+    const close = devtools.inspect(get('p'));
+    const panel = () => document.querySelector('[data-hamsterio-devtools] pre').textContent;
+
+    assert.match(panel(), /scope: div#app/);
+    assert.match(panel(), /"count": 1/);
+    assert.match(panel(), /h-text="count \+ user.name" - 1 effect\(s\), 3 dependencies/);
+
+    data.count = 7;
+    assert.match(panel(), /"count": 7/);
+
+    close();
+    assert.equal(document.querySelector('[data-hamsterio-devtools]'), null);
+});
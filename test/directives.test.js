@@ -0,0 +1,341 @@
+import './setup.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { directive, magic, onError, store, devtools, getEffectInfo, createEffect } from '../src/index.js';
+import { render, fire, flush, teardown } from '../src/testing.js';
+
+afterEach(teardown);
+
+test('h-text and h-html render (and update) content', () => {
+    const { get, data } = render(`
+        <div h-data="{ name: 'Hammy', bio: '<b>Seeds</b>' }">
+            <p h-text="name"></p>
+            <div h-html="bio"></div>
+        </div>`);
+
+    assert.equal(get('p').textContent, 'Hammy');
+    assert.equal(get('div div b').textContent, 'Seeds');
+
+    data.name = 'Whiskers';
+    assert.equal(get('p').textContent, 'Whiskers');
+});
+
+test('h-show toggles display', () => {
+    const { get, data } = render('<div h-data="{ open: false }"><p h-show="open">Hi</p></div>');
+
+    assert.equal(get('p').style.display, 'none');
+    data.open = true;
+    assert.notEqual(get('p').style.display, 'none');
+});
+
+test('h-bind binds attributes, classes and styles', () => {
+    const { get, data } = render(`
+        <div h-data="{ active: true, title: 'Wheel', size: 10 }">
+            <p class="card" h-bind:class="{ active }" h-bind:title="title" h-bind:style="{ fontSize: size + 'px' }"></p>
+        </div>`);
+    const p = get('p');
+
+    assert.equal(p.className, 'card active');
+    assert.equal(p.getAttribute('title'), 'Wheel');
+    assert.equal(p.style.fontSize, '10px');
+
+    data.active = false;
+    data.title = null;
+    assert.equal(p.className, 'card');
+    assert.equal(p.hasAttribute('title'), false);
+});
+
+test('h-on handles events, with modifiers', async () => {
+    const { get, getByText } = render(`
+        <div h-data="{ count: 0, keys: 0 }">
+            <button h-on:click="count++">Add</button>
+            <button h-on:click.once="count += 10">Once</button>
+            <input h-on:keydown.enter="keys++">
+            <span h-text="count"></span>
+        </div>`);
+
+    await fire(getByText('Add'), 'click');
+    await fire(getByText('Once'), 'click');
+    await fire(getByText('Once'), 'click');
+    await fire(get('input'), 'keydown', { key: 'a' });
+    await fire(get('input'), 'keydown', { key: 'Enter' });
+
+    assert.equal(get('span').textContent, '11');
+});
+
+test('async h-on handlers are awaited by fire', async () => {
+    const { get, data } = render(`
+        <div h-data="{ items: [], async load() { await new Promise(r => setTimeout(r, 5)); this.items = ['seeds'] } }">
+            <button h-on:click="await load()">Load</button>
+        </div>`);
+
+    await fire(get('button'), 'click');
+    assert.deepEqual([...data.items], ['seeds']);
+});
+
+test('h-model binds form inputs both ways', async () => {
+    const { get, data } = render(`
+        <div h-data="{ name: 'Hammy', agree: false, age: 1 }">
+            <input type="text" h-model="name">
+            <input type="checkbox" h-model="agree">
+            <input type="text" h-model.number="age">
+        </div>`);
+    const [text, checkbox, number] = document.querySelectorAll('input');
+
+    assert.equal(text.value, 'Hammy');
+
+    await fire(text, 'input', { value: 'Whiskers' });
+    await fire(checkbox, 'change', { checked: true });
+    await fire(number, 'input', { value: '3' });
+    assert.equal(data.name, 'Whiskers');
+    assert.equal(data.agree, true);
+    assert.equal(data.age, 3);
+
+    data.name = 'Nibbles';
+    assert.equal(get('input').value, 'Nibbles');
+});
+
+test('h-model selects options rendered by h-for', async () => {
+    const { get, data } = render(`
+        <div h-data="{ options: ['a', 'b', 'c'], sel: 'b', many: ['b', 'c'] }">
+            <select id="single" h-model="sel">
+                <template h-for="option in options"><option h-bind:value="option" h-text="option"></option></template>
+            </select>
+            <select id="multiple" multiple h-model="many">
+                <template h-for="option in options"><option h-bind:value="option" h-text="option"></option></template>
+            </select>
+        </div>`);
+    const selected = (select) => Array.from(select.selectedOptions).map(option => option.value);
+
+    assert.equal(get('#single').value, 'b');
+    assert.deepEqual(selected(get('#multiple')), ['b', 'c']);
+
+    await fire(get('#single'), 'change', { value: 'c' });
+    assert.equal(data.sel, 'c');
+
+    data.many = ['a'];
+    assert.deepEqual(selected(get('#multiple')), ['a']);
+});
+
+test('h-for renders keyed rows and reuses them', () => {
+    const { queryAll, data } = render(`
+        <ul h-data="{ items: [{ id: 1, name: 'a' }, { id: 2, name: 'b' }] }">
+            <template h-for="(item, index) in items" :key="item.id">
+                <li h-text="index + item.name"></li>
+            </template>
+        </ul>`);
+
+    const [first] = queryAll('li');
+    assert.deepEqual(queryAll('li').map(li => li.textContent), ['0a', '1b']);
+
+    data.items.unshift({ id: 3, name: 'c' });
+    assert.deepEqual(queryAll('li').map(li => li.textContent), ['0c', '1a', '2b']);
+    assert.equal(queryAll('li')[1], first);
+
+    data.items = [];
+    assert.equal(queryAll('li').length, 0);
+});
+
+test('h-for iterates ranges and objects', () => {
+    const { queryAll } = render(`
+        <div h-data="{ pet: { name: 'Hammy', age: 2 } }">
+            <template h-for="n in 3"><i h-text="n"></i></template>
+            <template h-for="(value, key) in pet"><b h-text="key + '=' + value"></b></template>
+        </div>`);
+
+    assert.deepEqual(queryAll('i').map(i => i.textContent), ['1', '2', '3']);
+    assert.deepEqual(queryAll('b').map(b => b.textContent), ['name=Hammy', 'age=2']);
+});
+
+test('h-for with a template without elements renders nothing (and keeps working)', () => {
+    const errors = [];
+    const stop = onError(error => errors.push(error));
+
+    const { queryAll, data } = render(`
+        <div h-data="{ items: [1, 2] }">
+            <template h-for="item in items">just text</template>
+            <template h-for="item in items"><i h-text="item"></i></template>
+        </div>`);
+
+    data.items.push(3);
+    stop();
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(queryAll('i').map(i => i.textContent), ['1', '2', '3']);
+});
+
+test('h-for rows with h-if inside can be reordered and removed', () => {
+    const { get, queryAll, data } = render(`
+        <ul h-data="{ xs: [{ n: 1, ok: true }, { n: 2, ok: false }, { n: 3, ok: true }] }">
+            <template h-for="x in xs"><template h-if="x.ok"><li h-text="x.n"></li></template></template>
+        </ul>`);
+    const text = () => queryAll('li').map(li => li.textContent);
+
+    assert.deepEqual(text(), ['1', '3']);
+
+    data.xs.reverse();
+    assert.deepEqual(text(), ['3', '1']);
+
+    data.xs.splice(0, 1);
+    data.xs[0].ok = true;
+    assert.deepEqual(text(), ['2', '1']);
+    assert.equal(get('ul').querySelectorAll('template').length, 0);
+});
+
+test('nested h-for rows can be reordered and removed', () => {
+    const { get, queryAll, data } = render(`
+        <ul h-data="{ groups: [{ items: ['a', 'b'] }, { items: ['c'] }] }">
+            <template h-for="group in groups"><template h-for="item in group.items"><li h-text="item"></li></template></template>
+        </ul>`);
+    const text = () => queryAll('li').map(li => li.textContent);
+
+    assert.deepEqual(text(), ['a', 'b', 'c']);
+
+    data.groups.reverse();
+    assert.deepEqual(text(), ['c', 'a', 'b']);
+
+    data.groups.splice(0, 1);
+    data.groups[0].items.push('d');
+    assert.deepEqual(text(), ['a', 'b', 'd']);
+    assert.equal(get('ul').querySelectorAll('template').length, 0);
+});
+
+test('h-if / h-else-if / h-else render one branch', () => {
+    const { queryAll, data } = render(`
+        <div h-data="{ role: 'admin' }">
+            <template h-if="role === 'admin'"><p>Admin</p></template>
+            <template h-else-if="role === 'editor'"><p>Editor</p></template>
+            <template h-else><p>Guest</p></template>
+        </div>`);
+    const text = () => queryAll('p').map(p => p.textContent);
+
+    assert.deepEqual(text(), ['Admin']);
+    data.role = 'editor';
+    assert.deepEqual(text(), ['Editor']);
+    data.role = 'nobody';
+    assert.deepEqual(text(), ['Guest']);
+});
+
+test('nested scopes read and write parent data', async () => {
+    const { get, getByText } = render(`
+        <div h-data="{ count: 1 }">
+            <div h-data="{ step: 2 }">
+                <button h-on:click="count += step">Add</button>
+                <span h-text="count + ',' + $parent.count"></span>
+            </div>
+        </div>`);
+
+    await fire(getByText('Add'), 'click');
+    assert.equal(get('span').textContent, '3,3');
+});
+
+test('h-data can scope shared objects (h-for items, stores) and they stay reactive', async () => {
+    store('cart', { count: 1 });
+    const { get, queryAll, data } = render(`
+        <div h-data="{ items: [{ n: 1 }, { n: 2 }] }">
+            <p h-text="items[0].n"></p>
+            <template h-for="item in items">
+                <i h-data="item" h-text="n"></i>
+            </template>
+            <div h-data="$store.cart"><b h-text="count"></b></div>
+        </div>`);
+
+    data.items[0].n = 5;
+    store('cart').count = 7;
+    await flush();
+
+    assert.equal(get('p').textContent, '5');
+    assert.deepEqual(queryAll('i').map(i => i.textContent), ['5', '2']);
+    assert.equal(get('b').textContent, '7');
+    assert.equal(Object.getPrototypeOf(store('cart')), Object.prototype);
+});
+
+test('h-init runs once, after the element initialised (and is awaited by flush)', async () => {
+    const { get } = render(`
+        <div h-data="{ message: '' }" h-init="await $nextTick(); message = 'ready: ' + $refs.title.textContent">
+            <h1 h-ref="title">Hi</h1>
+            <p h-text="message"></p>
+        </div>`);
+
+    await flush();
+    assert.equal(get('p').textContent, 'ready: Hi');
+});
+
+test('h-effect re-runs its statement when what it reads changes', () => {
+    const log = [];
+    const { data } = render('<div h-data="{ count: 0 }" h-effect="$store.log.push(count)"></div>', {
+        stores: { log },
+    });
+
+    data.count = 1;
+    assert.deepEqual([...log], [0, 1]);
+});
+
+test('magics: $dispatch, $watch and $id', async () => {
+    const { get, queryAll, data } = render(`
+        <div h-data="{ count: 0, changes: [], heard: '' }"
+             h-init="$watch('count', (value, old) => changes.push(old + '->' + value))"
+             h-on:notify="heard = $event.detail">
+            <button h-on:click="$dispatch('notify', 'squeak')">Go</button>
+            <label h-bind:for="$id('name')"></label>
+            <input h-bind:id="$id('name')">
+        </div>`);
+
+    await flush();
+    data.count = 2;
+    await fire(get('button'), 'click');
+
+    assert.deepEqual([...data.changes], ['0->2']);
+    assert.equal(data.heard, 'squeak');
+    assert.equal(get('label').htmlFor, get('input').id);
+    assert.equal(queryAll('[id]').length, 1);
+});
+
+test('$watch sees nested changes to objects and arrays', async () => {
+    const { data } = render(`
+        <div h-data="{ user: { name: 'Hammy' }, todos: [], log: [] }"
+             h-init="$watch('user', user => log.push(user.name)); $watch('todos', todos => log.push(todos.length))">
+        </div>`);
+
+    await flush();
+    data.user.name = 'Nibbles';
+    data.todos.push('seeds');
+    data.user = { name: 'Whiskers' };
+
+    assert.deepEqual([...data.log], ['Nibbles', 1, 'Whiskers']);
+});
+
+test('custom directives and magics', () => {
+    directive('upper', (el, { value }, { effect, evaluate }) => {
+        effect(() => {
+            el.textContent = String(evaluate(value)).toUpperCase();
+        });
+    });
+    magic('$greet', () => (name) => `Hi ${name}`);
+
+    const { get, data } = render('<div h-data="{ name: \'hammy\' }"><p h-upper="$greet(name)"></p></div>');
+
+    assert.equal(get('p').textContent, 'HI HAMMY');
+    data.name = 'whiskers';
+    assert.equal(get('p').textContent, 'HI WHISKERS');
+});
+
+test('server-rendered h-for rows are adopted', () => {
+    const { queryAll, data } = render(`
+        <ul h-data="{ todos: [{ id: 1, title: 'Buy seeds' }, { id: 2, title: 'Nap' }] }">
+            <template h-for="todo in todos" :key="todo.id"><li h-text="todo.title"></li></template>
+            <li data-h-key="1" h-text="todo.title" id="server">Buy seeds</li>
+            <li data-h-key="2" h-text="todo.title">Nap</li>
+        </ul>`);
+
+    assert.equal(queryAll('li').length, 2);
+    assert.equal(queryAll('li')[0].id, 'server');
+
+    data.todos[0].title = 'Buy more seeds';
+    assert.equal(queryAll('li')[0].textContent, 'Buy more seeds');
+});
+
+test('devtools are left out of non-dev builds', () => {
+    assert.equal(devtools, undefined);
+    assert.equal(getEffectInfo(createEffect(() => {})), null);
+});
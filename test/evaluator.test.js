@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as evaluator from '../src/evaluator.js';
+import * as interpreter from '../src/evaluator.csp.js';
+
+// Fresh data for every run, so both evaluators start from the same state
+const createData = () => ({
+    count: 1,
+    user: { name: 'Hammy', address: null, tags: ['fluffy'] },
+    list: [1, 2, 3],
+    nothing: null,
+    greet(name) {
+        return `Hi ${name}`;
+    },
+});
+
+const magics = { $double: (n) => n * 2 };
+
+/**
+ * Runs code with the CSP build's interpreter and the regular evaluator, and
+ * checks they agree: on the result (or the type of error), and on the data after.
+ */
+async function assertSameResults(cases, run) {
+    for (const code of cases) {
+        const [expected, actual] = await Promise.all([evaluator, interpreter].map(async (module) => {
+            const data = createData();
+
+            try {
+                const result = await run(module, code, data);
+                return { result, data: JSON.stringify(data) };
+            } catch (err) {
+                return { error: err.constructor.name };
+            }
+        }));
+
+        assert.deepEqual(actual, expected, code);
+    }
+};
+
+test('CSP parity: optional chaining', async () => {
+    await assertSameResults([
+        'user?.address?.city',
+        'user?.name?.length',
+        'nothing?.a.b.c',
+        'list?.[1]',
+        'greet?.(user.name)',
+        'nothing?.()',
+        'user.address?.city ?? "none"',
+        'user.nope.city',
+    ], ({ evaluate }, code, data) => evaluate(code, data, magics));
+});
+
+test('CSP parity: getters (and methods) in object literals', async () => {
+    await assertSameResults([
+        '({ a: count, get double() { return this.a * 2 } }).double',
+        '({ ...user, get upper() { return this.name.toUpperCase() } }).upper',
+        '({ n: 2, times(m) { return this.n * m } }).times(list.length)',
+        'Object.keys({ get hidden() { return 1 }, shown: 2 })',
+    ], ({ evaluate }, code, data) => evaluate(code, data, magics));
+});
+
+test('CSP parity: await in statements', async () => {
+    await assertSameResults([
+        'const n = await Promise.resolve(2); count = n + 1',
+        'count = await $double(await Promise.resolve(count))',
+        'if (await Promise.resolve(true)) { user.name = "Nibbles" } else { user.name = "Nope" }',
+        'const next = await Promise.resolve(list.length); list.push(next + 1)',
+        'return await Promise.resolve(count + 1)',
+        'await Promise.reject(new TypeError("Nope")); count = 5',
+    ], ({ execute }, code, data) => execute(code, data, magics));
+});
+
+test('CSP parity: assignment targets', async () => {
+    await assertSameResults([
+        'count += 2; count **= 2',
+        'user.name = "Nibbles"',
+        'list[0] = 9; list[list.length] = 4',
+        'user.tags[0] += "!"',
+        'count++; --count; user.address ??= { city: "Burrow" }',
+        'nothing ||= 5; user["name"] &&= user.name.toUpperCase()',
+    ], ({ execute }, code, data) => execute(code, data, magics));
+
+    await assertSameResults([
+        'count',
+        'user.name',
+        'list[2]',
+        'user["address"]',
+    ], ({ assign }, code, data) => assign(code, data, magics, 'Seeds'));
+});
@@ -0,0 +1,110 @@
+import './setup.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { hook, onError, plugin, directive, createSignal, createEffect } from '../src/index.js';
+import { render, teardown } from '../src/testing.js';
+
+afterEach(teardown);
+
+// Errors are logged as well as reported, keep the test output clean
+console.error = () => {};
+
+test('lifecycle hooks run (and are dispatched as DOM events)', () => {
+    const log = [];
+    const stops = ['beforeInit', 'afterInit', 'context', 'cleanup'].map(name =>
+        hook(name, ({ el }) => log.push(`${name} ${el.tagName}`))
+    );
+    const onContext = (e) => log.push(`event ${e.detail.el.tagName}`);
+    document.addEventListener('hamsterio:context', onContext);
+
+    const { unmount } = render('<section h-data="{ a: 1 }"><p h-text="a"></p></section>');
+    unmount();
+
+    stops.forEach(stop => stop());
+    document.removeEventListener('hamsterio:context', onContext);
+
+    assert.deepEqual(log, [
+        'beforeInit SECTION',
+        'context SECTION',
+        'event SECTION',
+        'beforeInit P',
+        'afterInit P',
+        'afterInit SECTION',
+        'cleanup SECTION',
+    ]);
+});
+
+test('onError reports the error with its directive, expression and element', () => {
+    const errors = [];
+    const stop = onError((error, { directive, attribute, expression, el, context }) => {
+        errors.push({ message: error.message, directive, attribute, expression, tag: el.tagName, count: context.data.count });
+    });
+
+    render('<div h-data="{ count: 1 }"><i h-bind:title="count.x.y"></i></div>');
+    stop();
+
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, /undefined/);
+    assert.deepEqual({ ...errors[0], message: undefined }, {
+        message: undefined,
+        directive: 'h-bind',
+        attribute: 'h-bind:title',
+        expression: 'count.x.y',
+        tag: 'I',
+        count: 1,
+    });
+});
+
+test('a throwing custom directive is reported, and the rest still initialise', () => {
+    const errors = [];
+    const stop = onError((error, { attribute, expression }) => errors.push(`${attribute}=${expression}: ${error.message}`));
+    directive('explode', () => {
+        throw new Error('Boom');
+    });
+
+    const { queryAll } = render(`
+        <div h-data="{ name: 'Hammy' }"><p h-explode="now" h-text="name"></p></div>
+        <div h-data="{ name: 'Whiskers' }"><p h-text="name"></p></div>`);
+    stop();
+
+    assert.deepEqual(errors, ['h-explode=now: Boom']);
+    assert.deepEqual(queryAll('p').map(p => p.textContent), ['Hammy', 'Whiskers']);
+});
+
+test('effects that throw when they re-run are reported', () => {
+    const errors = [];
+    const stop = onError((error, { attribute }) => errors.push(`${attribute}: ${error.message}`));
+    directive('strict', (el, { value }, { effect, evaluate }) => {
+        effect(() => {
+            if (evaluate(value) > 1) throw new Error('Too many');
+        });
+    });
+
+    const { data } = render('<div h-data="{ count: 1 }"><p h-strict="count"></p></div>');
+    const [seeds, setSeeds] = createSignal(0);
+    createEffect(() => {
+        if (seeds()) throw new Error('No seeds');
+    });
+
+    data.count = 2;
+    setSeeds(1);
+    stop();
+
+    assert.deepEqual(errors, ['h-strict: Too many', 'null: No seeds']);
+});
+
+test('plugins get the API, and are installed once', () => {
+    let installs = 0;
+    const autofocus = ({ directive }) => {
+        installs++;
+        directive('label', (el, { value }) => el.setAttribute('aria-label', value));
+    };
+
+    plugin(autofocus);
+    plugin(autofocus);
+
+    const { get } = render('<div h-data><button h-label="Close"></button></div>');
+
+    assert.equal(installs, 1);
+    assert.equal(get('button').getAttribute('aria-label'), 'Close');
+});
@@ -0,0 +1,21 @@
+import { JSDOM } from 'jsdom';
+
+// A browser-like global environment for hamsterio (imported before it, by every test file)
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+    url: 'http://localhost/',
+    pretendToBeVisual: true, // requestAnimationFrame (used by transitions)
+});
+
+const { window } = dom;
+
+// Tests call init themselves (through render)
+window.hamsterioAutoInit = false;
+
+[
+    'window', 'document', 'Node', 'HTMLElement', 'HTMLTemplateElement', 'Event', 'CustomEvent',
+    'MutationObserver', 'localStorage', 'sessionStorage', 'StorageEvent',
+    'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame',
+].forEach(name => {
+    const value = window[name];
+    globalThis[name] = typeof value === 'function' && /^[a-z]/.test(name) ? value.bind(window) : value;
+});
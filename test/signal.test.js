@@ -0,0 +1,231 @@
+import './setup.js';
+import './dev.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createSignal, createEffect, createRoot, onCleanup, createMemo, createStore,
+    batch, untracked, nextTick, setScheduler, onWrite, collectEffects, getEffectInfo,
+} from '../src/index.js';
+
+test('effects re-run when the signals they read change', () => {
+    const [count, setCount] = createSignal(0);
+    const seen = [];
+
+    createEffect(() => seen.push(count()));
+    setCount(1);
+    setCount(1); // unchanged, no re-run
+
+    assert.deepEqual(seen, [0, 1]);
+});
+
+test('effects only track the signals read in their last run', () => {
+    const [show, setShow] = createSignal(true);
+    const [name, setName] = createSignal('Hammy');
+    let runs = 0;
+
+    createEffect(() => {
+        runs++;
+        if (show()) name();
+    });
+
+    setShow(false);
+    setName('Whiskers');
+
+    assert.equal(runs, 2);
+});
+
+test('nested effects are disposed with their owner, and cleanups run', () => {
+    const [count, setCount] = createSignal(0);
+    const log = [];
+
+    const dispose = createRoot(dispose => {
+        createEffect(() => {
+            const value = count();
+            onCleanup(() => log.push(`cleanup ${value}`));
+        });
+        return dispose;
+    });
+
+    setCount(1);
+    dispose();
+    setCount(2);
+
+    assert.deepEqual(log, ['cleanup 0', 'cleanup 1']);
+});
+
+test('memos are cached and recompute lazily', () => {
+    const [seeds, setSeeds] = createSignal(10);
+    let computations = 0;
+    const pouches = createMemo(() => {
+        computations++;
+        return Math.ceil(seeds() / 5);
+    });
+
+    assert.equal(pouches(), 2);
+    assert.equal(pouches(), 2);
+    setSeeds(12);
+    assert.equal(computations, 1);
+    assert.equal(pouches(), 3);
+    assert.equal(computations, 2);
+});
+
+test('memos stop tracking when their owner is disposed', () => {
+    const [seeds, setSeeds] = createSignal(10);
+    let pouches;
+    const dispose = createRoot(dispose => {
+        pouches = createMemo(() => Math.ceil(seeds() / 5));
+        return dispose;
+    });
+
+    let runs = 0;
+    createEffect(() => {
+        runs++;
+        pouches();
+    });
+
+    setSeeds(12);
+    assert.equal(runs, 2);
+
+    dispose();
+    setSeeds(20);
+    assert.equal(runs, 2);
+    assert.equal(pouches(), 4);
+});
+
+test('effects never see memos half-updated', () => {
+    const [a, setA] = createSignal(1);
+    const b = createMemo(() => a() * 2);
+    const c = createMemo(() => a() + 1);
+    const seen = [];
+
+    createEffect(() => seen.push(b() + c()));
+    setA(2);
+
+    assert.deepEqual(seen, [4, 7]);
+});
+
+test('batch runs each effect once, after the batch', () => {
+    const [first, setFirst] = createSignal('a');
+    const [last, setLast] = createSignal('b');
+    const seen = [];
+
+    createEffect(() => seen.push(first() + last()));
+    batch(() => {
+        setFirst('c');
+        setLast('d');
+    });
+
+    assert.deepEqual(seen, ['ab', 'cd']);
+});
+
+test('untracked reads do not subscribe', () => {
+    const [count, setCount] = createSignal(0);
+    const [step, setStep] = createSignal(1);
+    let runs = 0;
+
+    createEffect(() => {
+        runs++;
+        count() + untracked(step);
+    });
+
+    setStep(2);
+    setCount(1);
+
+    assert.equal(runs, 2);
+});
+
+test('stores are deeply reactive, per property', () => {
+    const state = createStore({ user: { name: 'Hammy' }, todos: [] });
+    const names = [];
+    let todoRuns = 0;
+
+    createEffect(() => names.push(state.user.name));
+    createEffect(() => {
+        todoRuns++;
+        state.todos.length;
+    });
+
+    state.user.name = 'Whiskers';
+    state.todos.push('seeds');
+
+    assert.deepEqual(names, ['Hammy', 'Whiskers']);
+    assert.equal(todoRuns, 2);
+});
+
+test('a store write runs each effect once', () => {
+    const state = createStore({ a: 1 });
+    const list = createStore([1, 2, 3]);
+    let keyRuns = 0;
+    let listRuns = 0;
+
+    createEffect(() => {
+        keyRuns++;
+        Object.keys(state).length + (state.b ?? 0);
+    });
+    createEffect(() => {
+        listRuns++;
+        list.length + (list[3] ?? 0);
+    });
+
+    state.b = 2;
+    list[3] = 9;
+
+    assert.equal(keyRuns, 2);
+    assert.equal(listRuns, 2);
+});
+
+test('the microtask scheduler defers effects until nextTick', async () => {
+    const [count, setCount] = createSignal(0);
+    const seen = [];
+
+    createEffect(() => seen.push(count()));
+
+    setScheduler('microtask');
+    try {
+        setCount(1);
+        setCount(2);
+        assert.deepEqual(seen, [0]);
+
+        await nextTick();
+        assert.deepEqual(seen, [0, 2]);
+    } finally {
+        setScheduler('sync');
+    }
+});
+
+test('onWrite reports signal and store writes with a stack', () => {
+    const [, setCount] = createSignal(0, 'count');
+    const state = createStore({ name: 'Hammy' });
+    const writes = [];
+
+    const stop = onWrite(({ type, name, value, oldValue, stack }) => writes.push({ type, name, value, oldValue, hasStack: typeof stack === 'string' }));
+    setCount(1);
+    state.name = 'Whiskers';
+    state.name = 'Whiskers'; // unchanged, not reported
+    stop();
+    setCount(2);
+
+    assert.deepEqual(writes, [
+        { type: 'signal', name: 'count', value: 1, oldValue: 0, hasStack: true },
+        { type: 'store', name: 'name', value: 'Whiskers', oldValue: 'Hammy', hasStack: true },
+    ]);
+});
+
+test('collectEffects and getEffectInfo describe effects', () => {
+    const [a] = createSignal(1);
+    const [b] = createSignal(2);
+
+    const effects = collectEffects(() => {
+        createEffect(() => {
+            a() + b();
+            createEffect(() => a()); // nested, not collected
+        });
+    });
+
+    assert.equal(effects.length, 1);
+    assert.deepEqual(getEffectInfo(effects[0]), { id: getEffectInfo(effects[0]).id, runs: 1, dependencies: 2, children: 1, active: true });
+
+    effects[0]();
+    assert.equal(getEffectInfo(effects[0]).active, false);
+    assert.equal(getEffectInfo(() => {}), null);
+});
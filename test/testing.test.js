@@ -0,0 +1,120 @@
+import './setup.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { store } from '../src/index.js';
+import { render, fire, flush, teardown } from '../src/testing.js';
+
+afterEach(teardown);
+
+test('render initialises the HTML and returns scoped queries', () => {
+    const { container, get, query, queryAll, getByText, queryByText } = render(`
+        <div h-data="{ items: ['seeds', 'nuts'] }">
+            <h1>Snacks</h1>
+            <template h-for="item in items"><li h-text="item"></li></template>
+        </div>`);
+
+    assert.equal(container.parentNode, document.body);
+    assert.equal(get('h1').textContent, 'Snacks');
+    assert.equal(query('table'), null);
+    assert.equal(queryAll('li').length, 2);
+    assert.equal(getByText('nuts').tagName, 'LI');
+    assert.equal(getByText(/^see/).tagName, 'LI');
+    assert.equal(queryByText('carrots'), null);
+    assert.throws(() => get('table'), /No element matches "table"/);
+    assert.throws(() => getByText('carrots'), /No element has the text "carrots"/);
+});
+
+test('render takes data and stores', () => {
+    const { get, data } = render('<p h-text="greeting + \' \' + $store.user.name"></p>', {
+        data: { greeting: 'Hi' },
+        stores: { user: { name: 'Hammy' } },
+    });
+
+    assert.equal(get('p').textContent, 'Hi Hammy');
+
+    data.greeting = 'Bye';
+    store('user').name = 'Whiskers';
+    assert.equal(get('p').textContent, 'Bye Whiskers');
+});
+
+test('teardown removes (or restores) the stores render registered', () => {
+    store('theme', 'light');
+
+    // Each render starts clean, whatever the previous one did
+    for (let i = 0; i < 2; i++) {
+        const { get } = render('<p h-data h-text="$store.user.name + \' \' + $store.theme"></p>', {
+            stores: { user: { name: 'Hammy' }, theme: 'dark' },
+        });
+
+        assert.equal(get('p').textContent, 'Hammy dark');
+        store('user').name = 'Whiskers';
+        teardown();
+
+        assert.equal(store('user'), undefined);
+        assert.equal(store('theme'), 'light');
+    }
+});
+
+test('the data option is the parent scope of the HTML', () => {
+    const { get } = render('<div h-data="{ own: 1 }"><p h-text="own + shared"></p></div>', {
+        data: { shared: 2 },
+    });
+
+    assert.equal(get('p').textContent, '3');
+});
+
+test('fire dispatches events with the right type, and awaits async handlers', async () => {
+    const { get, data } = render(`
+        <div h-data="{ events: [], saved: false }">
+            <input h-on:keydown="events.push($event.constructor.name + ':' + $event.key)"
+                   h-on:custom="events.push($event.detail)">
+            <form h-on:submit.prevent="await new Promise(r => setTimeout(r, 5)); saved = true"></form>
+        </div>`);
+
+    await fire(get('input'), 'keydown', { key: 'Enter' });
+    await fire(get('input'), 'custom', { detail: 'squeak' });
+    assert.deepEqual([...data.events], ['KeyboardEvent:Enter', 'squeak']);
+
+    await fire(get('form'), 'submit');
+    assert.equal(data.saved, true);
+});
+
+test('fire sets value and checked first', async () => {
+    const { get, data } = render(`
+        <div h-data="{ name: '', agree: false }">
+            <input type="text" h-model="name">
+            <input type="checkbox" h-model="agree">
+        </div>`);
+
+    await fire(get('[type=text]'), 'input', { value: 'Hammy' });
+    await fire(get('[type=checkbox]'), 'change', { checked: true });
+
+    assert.equal(data.name, 'Hammy');
+    assert.equal(data.agree, true);
+});
+
+test('flush waits for async h-init', async () => {
+    const { get } = render(`
+        <div h-data="{ status: 'loading' }" h-init="await new Promise(r => setTimeout(r, 5)); status = 'done'">
+            <p h-text="status"></p>
+        </div>`);
+
+    assert.equal(get('p').textContent, 'loading');
+    await flush();
+    assert.equal(get('p').textContent, 'done');
+});
+
+test('unmount and teardown clean up rendered HTML', () => {
+    const first = render('<div h-data="{ count: 0 }"><p h-text="count"></p></div>');
+    const second = render('<div h-data></div>');
+    const p = first.get('p');
+
+    first.unmount();
+    first.data.count = 1;
+    assert.equal(p.textContent, '0');
+    assert.equal(first.container.isConnected, false);
+
+    teardown();
+    assert.equal(second.container.isConnected, false);
+    assert.equal(document.body.children.length, 0);
+});